@@ -7,11 +7,29 @@ const Keyboard = require('./src/Keyboard');
 const Network = require('./src/Network');
 const Waiter = require('./src/Waiter');
 const ProfileManager = require('./src/ProfileManager');
+const ProxyPool = require('./src/ProxyPool');
+const ProfileRegistry = require('./src/ProfileRegistry');
+const ProfileArchive = require('./src/ProfileArchive');
 const GridManager = require('./src/GridManager');
 const ElementHandle = require('./src/ElementHandle');
 const Touch = require('./src/Touch');
 const DialogHandler = require('./src/DialogHandler');
+const AuthHandler = require('./src/AuthHandler');
 const DownloadManager = require('./src/DownloadManager');
+const CDPSession = require('./src/CDPSession');
+const Route = require('./src/Route');
+const Request = require('./src/Request');
+const Response = require('./src/Response');
+const HarRecorder = require('./src/HarRecorder');
+const HarReplayer = require('./src/HarReplayer');
+const TimeoutError = require('./src/TimeoutError');
+const FilterList = require('./src/FilterList');
+const ContentBlocker = require('./src/ContentBlocker');
+const Emulation = require('./src/Emulation');
+const DeviceRegistry = require('./src/DeviceRegistry');
+const Fingerprint = require('./src/Fingerprint');
+const Stealth = require('./src/Stealth');
+const WebSocket = require('./src/WebSocket');
 
 module.exports = {
   BrowserManager,
@@ -21,9 +39,27 @@ module.exports = {
   Network,
   Waiter,
   ProfileManager,
+  ProxyPool,
+  ProfileRegistry,
+  ProfileArchive,
   GridManager,
   ElementHandle,
   Touch,
   DialogHandler,
+  AuthHandler,
   DownloadManager,
+  CDPSession,
+  Route,
+  Request,
+  Response,
+  HarRecorder,
+  HarReplayer,
+  TimeoutError,
+  FilterList,
+  ContentBlocker,
+  Emulation,
+  DeviceRegistry,
+  Fingerprint,
+  Stealth,
+  WebSocket,
 };
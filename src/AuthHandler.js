@@ -0,0 +1,142 @@
+'use strict';
+
+// Give up after this many rejected answers for the same server/realm, so bad
+// credentials fail with a 401/407 instead of prompting forever
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Normalize a credentials option into { map, callback }.
+ * Accepts { username, password }, a map of origin/host -> { username, password },
+ * or a callback (info) => credentials.
+ */
+function toSource(credentials) {
+  if (!credentials) return null;
+  if (typeof credentials === 'function') return { map: new Map(), callback: credentials };
+  if (typeof credentials.username === 'string') {
+    return { map: new Map([['*', credentials]]), callback: null };
+  }
+  return { map: new Map(Object.entries(credentials)), callback: null };
+}
+
+/**
+ * Answers HTTP basic/digest and proxy authentication challenges for one
+ * webContents via Electron's 'login' event.
+ */
+class AuthHandler {
+  /**
+   * @param {Electron.WebContents} webContents
+   */
+  constructor(webContents) {
+    this._wc = webContents;
+    /** @type {{ server: object|null, proxy: object|null }} */
+    this._sources = { server: null, proxy: null };
+    /** @type {Map<string, number>} Answers given per challenge since the last navigation */
+    this._attempts = new Map();
+    this._onLogin = null;
+    this._onNavigate = null;
+  }
+
+  /**
+   * Credentials for sites behind basic/digest auth.
+   *
+   * Map keys are origins ('https://intranet.example.com:8443'), hostnames
+   * or '*'. A callback receives { url, origin, host, port, realm, scheme,
+   * isProxy, attempt } and returns { username, password } or null to cancel;
+   * it is consulted when the map has no entry.
+   * @param {object|function|null} credentials - { username, password }, map, or callback. null removes.
+   */
+  setCredentials(credentials) {
+    this._sources.server = toSource(credentials);
+    this._sync();
+  }
+
+  /**
+   * Credentials for authenticating proxies. Map keys are 'host:port',
+   * hostnames or '*'. Same forms as setCredentials().
+   * @param {object|function|null} credentials
+   */
+  setProxyCredentials(credentials) {
+    this._sources.proxy = toSource(credentials);
+    this._sync();
+  }
+
+  _sync() {
+    const active = Boolean(this._sources.server || this._sources.proxy);
+    if (active && !this._onLogin) {
+      this._onLogin = (event, details, authInfo, callback) => {
+        event.preventDefault();
+        this._answer(details, authInfo)
+          .then((creds) => {
+            if (creds) callback(creds.username, creds.password);
+            else callback();
+          })
+          .catch(() => callback());
+      };
+      this._onNavigate = (_event, _url, isInPlace, isMainFrame) => {
+        if (isMainFrame && !isInPlace) this._attempts.clear();
+      };
+      this._wc.on('login', this._onLogin);
+      this._wc.on('did-start-navigation', this._onNavigate);
+    } else if (!active && this._onLogin) {
+      this._detach();
+    }
+  }
+
+  async _answer(details, authInfo) {
+    const kind = authInfo.isProxy ? 'proxy' : 'server';
+    const source = this._sources[kind];
+    if (!source) return null;
+
+    const attemptKey = `${kind}|${authInfo.host}:${authInfo.port}|${authInfo.realm}`;
+    const attempt = (this._attempts.get(attemptKey) || 0) + 1;
+    this._attempts.set(attemptKey, attempt);
+    if (attempt > MAX_ATTEMPTS) return null;
+
+    let origin = '';
+    try {
+      origin = new URL(details.url).origin;
+    } catch {
+      // ignore
+    }
+    const keys = authInfo.isProxy
+      ? [`${authInfo.host}:${authInfo.port}`, authInfo.host, '*']
+      : [origin, authInfo.host, '*'];
+    for (const key of keys) {
+      if (source.map.has(key)) return source.map.get(key);
+    }
+
+    if (!source.callback) return null;
+    return source.callback({
+      url: details.url,
+      origin,
+      host: authInfo.host,
+      port: authInfo.port,
+      realm: authInfo.realm,
+      scheme: authInfo.scheme,
+      isProxy: authInfo.isProxy,
+      attempt,
+    });
+  }
+
+  _detach() {
+    try {
+      this._wc.removeListener('login', this._onLogin);
+      this._wc.removeListener('did-start-navigation', this._onNavigate);
+    } catch {
+      // ignore — webContents may already be destroyed
+    }
+    this._onLogin = null;
+    this._onNavigate = null;
+  }
+
+  /**
+   * Destroy and clean up.
+   */
+  destroy() {
+    if (this._onLogin) this._detach();
+    this._sources = { server: null, proxy: null };
+    this._attempts.clear();
+  }
+}
+
+module.exports = AuthHandler;
@@ -3,35 +3,78 @@
 const { BrowserView } = require('electron');
 const ElectronPage = require('./ElectronPage');
 const ProfileManager = require('./ProfileManager');
+const ProfileRegistry = require('./ProfileRegistry');
 const GridManager = require('./GridManager');
-const { safeDetachDebugger } = require('./utils');
+const FilterList = require('./FilterList');
+const Fingerprint = require('./Fingerprint');
+const ProfileArchive = require('./ProfileArchive');
+const { safeDetachDebugger, toStoredProfileOptions } = require('./utils');
 
 class BrowserManager {
   /**
    * @param {Electron.BrowserWindow} mainWindow
+   * @param {object} [options]
+   * @param {object} [options.proxyPool] - Proxy pool for profiles created without `proxy`,
+   *   see ProfileManager: { proxies, rotation, rotateInterval, healthCheck }
+   * @param {string} [options.registryDir] - Save profile definitions to a JSON manifest in this
+   *   directory so restoreProfiles() can recreate them after a restart. Passwords in
+   *   `credentials`, `proxyAuth` and proxy URLs are written to it in plain text
    */
-  constructor(mainWindow) {
+  constructor(mainWindow, options = {}) {
     if (!mainWindow) throw new Error('mainWindow is required');
     this._mainWindow = mainWindow;
 
-    /** @type {Map<string, { view: Electron.BrowserView, page: ElectronPage }>} */
+    /** @type {Map<string, { view: Electron.BrowserView, page: ElectronPage, options: object, onNavigate: object|null }>} */
     this._profiles = new Map();
 
-    this._profileManager = new ProfileManager();
+    this._profileManager = new ProfileManager({ proxyPool: options.proxyPool });
+    // Runtime proxy switches may bring new proxy credentials
+    this._profileManager.on('proxychanged', ({ profileId, proxyAuth }) => {
+      const entry = this._profiles.get(profileId);
+      if (entry) entry.page.auth.setProxyCredentials(proxyAuth);
+    });
     this._gridManager = new GridManager(mainWindow);
+    this._registry = options.registryDir ? new ProfileRegistry({ dir: options.registryDir }) : null;
+
+    /** @type {Map<string, Promise<FilterList>>} Parsed filter lists shared across profiles */
+    this._filterLists = new Map();
   }
 
   /** @returns {GridManager} */
   get grid() { return this._gridManager; }
+  /** @returns {ProfileManager} Sessions, proxy switching and rotation */
+  get profiles() { return this._profileManager; }
+  /** @returns {ProfileRegistry|null} Saved profile definitions, if registryDir was given */
+  get registry() { return this._registry; }
 
   /**
    * Create a new profile with a BrowserView.
    * @param {string} profileId
    * @param {object} [options]
-   * @param {string} [options.proxy] - Proxy rules e.g. "http://proxy:8080"
+   * @param {string|object} [options.proxy] - Proxy rules e.g. "http://proxy:8080", or
+   *   { mode, proxyRules, proxyBypassRules, pacScript } (pacScript: URL or inline script)
+   * @param {string|string[]} [options.proxyBypassRules] - Hosts that skip the proxy
    * @param {string} [options.userAgent]
+   * @param {boolean} [options.ephemeral] - In-memory session, nothing written to disk or the registry
    * @param {boolean} [options.disableImages] - Block image/media loading
    * @param {boolean} [options.disableAnimations] - Inject CSS to disable animations
+   * @param {string|object} [options.networkConditions] - Throttling preset ('slow3g', 'fast3g', 'offline')
+   *   or { offline, latency, downloadThroughput, uploadThroughput }
+   * @param {object} [options.contentBlocking] - Ad/tracker blocking: { lists: ['easylist.txt', ...], cosmetic = true }
+   *   or { filterList: FilterList, cosmetic }
+   * @param {object|function} [options.credentials] - HTTP auth: { username, password }, a map of
+   *   origin/host -> { username, password }, or a callback (info) => credentials
+   * @param {object|function} [options.proxyAuth] - Proxy auth, same forms (map keys are 'host:port');
+   *   credentials embedded in `proxy` are used otherwise
+   * @param {object} [options.fingerprint] - { userAgent, userAgentMetadata, platform, languages,
+   *   hardwareConcurrency, deviceMemory, screen: { width, height, colorDepth }, timezone,
+   *   webgl: { vendor, renderer }, canvasSeed, audioSeed }; seeds may be `true` to derive them from profileId
+   * @param {boolean} [options.stealth] - Hide automation and Electron tells, see ElectronPage.stealth
+   * @param {string} [options.timezone] - IANA timezone, see ElectronPage.emulateTimezone()
+   * @param {string} [options.locale] - e.g. 'de-DE', see ElectronPage.emulateLocale()
+   * @param {object} [options.geolocation] - { latitude, longitude, accuracy }, see ElectronPage.setGeolocation()
+   * @param {string[]} [options.tags] - Registry metadata
+   * @param {string} [options.notes] - Registry metadata
    * @returns {ElectronPage}
    */
   createProfile(profileId, options = {}) {
@@ -39,10 +82,17 @@ class BrowserManager {
       return this._profiles.get(profileId).page;
     }
 
+    const fingerprint = options.fingerprint ? Fingerprint.resolve(options.fingerprint, profileId) : null;
+    const userAgent = options.userAgent || (fingerprint && fingerprint.userAgent) || null;
+
     // Create session profile
     const profile = this._profileManager.create(profileId, {
       proxy: options.proxy,
-      userAgent: options.userAgent,
+      proxyBypassRules: options.proxyBypassRules,
+      proxyAuth: options.proxyAuth,
+      userAgent,
+      ephemeral: options.ephemeral,
+      fingerprint,
     });
 
     // Create BrowserView with partition
@@ -57,8 +107,8 @@ class BrowserManager {
     });
 
     // Set user agent if provided
-    if (options.userAgent) {
-      view.webContents.setUserAgent(options.userAgent);
+    if (userAgent) {
+      view.webContents.setUserAgent(userAgent);
     }
 
     // Add view to window
@@ -68,9 +118,40 @@ class BrowserManager {
     const page = new ElectronPage(view, {
       disableImages: options.disableImages || false,
       disableAnimations: options.disableAnimations || false,
+      networkConditions: options.networkConditions || null,
+      contentBlocking: options.contentBlocking ? {
+        filterList: options.contentBlocking.filterList || this._loadFilterList(options.contentBlocking.lists || []),
+        cosmetic: options.contentBlocking.cosmetic,
+      } : null,
+      credentials: options.credentials || null,
+      proxyAuth: profile.proxyAuth,
+      fingerprint,
+      stealth: options.stealth || false,
+      timezone: options.timezone || null,
+      locale: options.locale || null,
+      geolocation: options.geolocation || null,
     });
 
-    this._profiles.set(profileId, { view, page });
+    let onNavigate = null;
+    if (this._registry && !profile.ephemeral) {
+      this._registry.record(profileId, options);
+      const saveUrl = (url) => {
+        if (!url || url === 'about:blank') return;
+        try {
+          this._registry.update(profileId, { lastUrl: url });
+        } catch {
+          // ignore — entry removed from the registry while the profile is open
+        }
+      };
+      onNavigate = {
+        full: (_event, url) => saveUrl(url),
+        inPage: (_event, url, isMainFrame) => { if (isMainFrame) saveUrl(url); },
+      };
+      view.webContents.on('did-navigate', onNavigate.full);
+      view.webContents.on('did-navigate-in-page', onNavigate.inPage);
+    }
+
+    this._profiles.set(profileId, { view, page, options, onNavigate });
 
     // Register with grid
     this._gridManager.addView(profileId, view);
@@ -80,13 +161,161 @@ class BrowserManager {
   }
 
   /**
-   * Destroy a profile and its BrowserView.
+   * Recreate every profile saved in the registry with its options, and
+   * navigate each to the last URL it was on.
+   * @param {object} [options]
+   * @param {string} [options.tag] - Only profiles carrying this tag
+   * @param {boolean} [options.navigate=true] - Load each profile's last URL
+   * @returns {Promise<ElectronPage[]>} Resolves once the last URLs have loaded (or failed)
+   */
+  async restoreProfiles(options = {}) {
+    if (!this._registry) throw new Error('restoreProfiles() requires the registryDir option');
+    const { tag, navigate = true } = options;
+
+    const pages = [];
+    const loads = [];
+    for (const entry of this._registry.list({ tag })) {
+      const page = this.createProfile(entry.id, entry.options);
+      pages.push(page);
+      if (navigate && entry.lastUrl) {
+        loads.push(page.goto(entry.lastUrl).catch((err) => {
+          console.error(`[ISHbrowser] Failed to restore ${entry.lastUrl} for profile ${entry.id}:`, err.message);
+        }));
+      }
+    }
+    await Promise.all(loads);
+    return pages;
+  }
+
+  /**
+   * Export a profile (cookies, localStorage, IndexedDB, the open page's
+   * sessionStorage and its createProfile options) to a portable archive.
+   * @param {string} profileId - Open or saved in the registry
+   * @param {object} [options] - { path, passphrase, origins }, see ProfileManager.exportProfile()
+   * @returns {Promise<Buffer>}
+   */
+  async exportProfile(profileId, options = {}) {
+    return this._profileManager.exportProfile(profileId, { ...options, ...this._captureSource(profileId) });
+  }
+
+  /**
+   * Import an exported archive as a new profile and open it.
+   * @param {Buffer|string} archive - Archive bytes or a file path
+   * @param {string} profileId - New profile ID
+   * @param {object} [options]
+   * @param {string} [options.passphrase]
+   * @param {object} [options.overrides] - createProfile options replacing the stored ones (e.g. a different proxy)
+   * @returns {Promise<ElectronPage>}
+   */
+  async importProfile(archive, profileId, options = {}) {
+    this._requireNew(profileId);
+    const data = await ProfileArchive.unpack(archive, { passphrase: options.passphrase });
+    return this._openRestored(profileId, { ...data.options, ...options.overrides },
+      () => this._profileManager.restore(profileId, data));
+  }
+
+  /**
+   * Create a new profile carrying over another profile's cookies and web
+   * storage (localStorage, IndexedDB, the open page's sessionStorage) and
+   * its options, and open it.
+   * @param {string} sourceId - Open or saved in the registry
+   * @param {string} newId
+   * @param {object} [overrides] - createProfile options replacing the source's, e.g. { proxy, userAgent }
+   * @param {object} [options]
+   * @param {string[]} [options.origins] - Origins whose storage to copy, see exportProfile()
+   * @returns {Promise<ElectronPage>}
+   */
+  async cloneProfile(sourceId, newId, overrides = {}, options = {}) {
+    this._requireNew(newId);
+    const source = this._captureSource(sourceId);
+    return this._openRestored(newId, { ...source.profileOptions, ...overrides },
+      () => this._profileManager.clone(sourceId, newId, { origins: options.origins, ...source }));
+  }
+
+  _requireNew(profileId) {
+    if (this._profiles.has(profileId)) {
+      throw new Error(`Profile "${profileId}" is open; use a new profileId`);
+    }
+  }
+
+  /**
+   * Page and options of an open or registered profile, for capturing its data.
+   */
+  _captureSource(profileId) {
+    const entry = this._profiles.get(profileId);
+    if (entry) return { page: entry.page, profileOptions: toStoredProfileOptions(entry.options) };
+    const saved = this._registry ? this._registry.get(profileId) : null;
+    if (saved) return { page: null, profileOptions: saved.options };
+    throw new Error(`Unknown profile: ${profileId}`);
+  }
+
+  /**
+   * Create the profile first so the data lands in its actual partition
+   * (ephemeral profiles get a fresh one), then fill it before any navigation.
+   */
+  async _openRestored(profileId, createOptions, restore) {
+    const page = this.createProfile(profileId, createOptions);
+    try {
+      const restored = await restore();
+      await ProfileArchive.seedSessionStorage(page.cdp, restored.sessionStorage);
+    } catch (err) {
+      await this.destroyProfile(profileId);
+      throw err;
+    }
+    return page;
+  }
+
+  /**
+   * Parse filter list files once and share the result between profiles.
+   * @param {string[]} paths
+   * @returns {Promise<FilterList>}
+   */
+  _loadFilterList(paths) {
+    const key = paths.join('\n');
+    if (!this._filterLists.has(key)) {
+      const loading = FilterList.fromFiles(paths);
+      loading.catch(() => this._filterLists.delete(key));
+      this._filterLists.set(key, loading);
+    }
+    return this._filterLists.get(key);
+  }
+
+  /**
+   * Close a profile's BrowserView but keep its session data (cookies,
+   * storage, cache) on disk for the next createProfile() with the same ID.
+   * An ephemeral profile's data is discarded.
+   */
+  async closeProfile(profileId) {
+    if (!this._removeView(profileId)) return;
+    await this._profileManager.close(profileId);
+  }
+
+  /**
+   * Destroy a profile and its BrowserView, purging its session data and
+   * partition directory. It is also removed from the registry. A closed
+   * profile's data is purged as well.
+   * @returns {Promise<boolean>} Whether the partition directory was removed
    */
   async destroyProfile(profileId) {
+    if (this._registry) this._registry.remove(profileId);
+    this._removeView(profileId);
+    return this._profileManager.destroy(profileId);
+  }
+
+  /**
+   * Tear down a profile's page and view.
+   * @returns {boolean} false if the profile isn't open
+   */
+  _removeView(profileId) {
     const entry = this._profiles.get(profileId);
-    if (!entry) return;
+    if (!entry) return false;
 
-    const { view, page } = entry;
+    const { view, page, onNavigate } = entry;
+
+    if (onNavigate) {
+      view.webContents.removeListener('did-navigate', onNavigate.full);
+      view.webContents.removeListener('did-navigate-in-page', onNavigate.inPage);
+    }
 
     // Destroy page (removes listeners, detaches debugger)
     page.destroy();
@@ -108,15 +337,13 @@ class BrowserManager {
       // ignore
     }
 
-    // Destroy profile session data
-    await this._profileManager.destroy(profileId);
-
     this._profiles.delete(profileId);
 
     // Re-layout remaining views
     if (this._profiles.size > 0) {
       this._gridManager.autoGrid();
     }
+    return true;
   }
 
   /**
@@ -135,14 +362,16 @@ class BrowserManager {
   }
 
   /**
-   * Destroy all profiles and clean up.
+   * Close all profiles (keeping their data) and clean up.
    */
   async cleanup() {
     const ids = this.listProfiles();
     for (const id of ids) {
-      await this.destroyProfile(id);
+      await this.closeProfile(id);
     }
     this._gridManager.destroy();
+    await this._profileManager.cleanup();
+    if (this._registry) await this._registry.flush();
   }
 }
 
@@ -0,0 +1,283 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const { safeAttachDebugger, safeDetachDebugger } = require('./utils');
+
+/** @type {WeakMap<Electron.WebContents, CDPSession>} */
+const sessions = new WeakMap();
+
+// Out-of-process iframes are separate targets; pause each one on attach
+// so child target initializers run before its scripts do
+const AUTO_ATTACH = { autoAttach: true, waitForDebuggerOnStart: true, flatten: true };
+
+/**
+ * Shared CDP session for one webContents.
+ *
+ * Owns the debugger attachment, ref-counts enabled domains per consumer and
+ * routes protocol events to subscribers by method name:
+ *
+ *   session.on('Page.javascriptDialogOpening', (params) => { ... })
+ *
+ * Lifecycle events: 'detached' (reason) and 'reattached'.
+ *
+ * Events of child targets (see addChildTargetInitializer) carry their
+ * sessionId as the second listener argument.
+ */
+class CDPSession extends EventEmitter {
+  /**
+   * Get (or create) the session for a webContents.
+   * @param {Electron.WebContents} webContents
+   * @returns {CDPSession}
+   */
+  static for(webContents) {
+    let session = sessions.get(webContents);
+    if (!session || session._destroyed) {
+      session = new CDPSession(webContents);
+      sessions.set(webContents, session);
+    }
+    return session;
+  }
+
+  /**
+   * @param {Electron.WebContents} webContents
+   */
+  constructor(webContents) {
+    super();
+    this.setMaxListeners(0);
+    this._wc = webContents;
+    this._attached = false;
+    this._everAttached = false;
+    this._destroyed = false;
+    this._attaching = null;
+    this._waitingForDevTools = false;
+
+    /** @type {Map<string, { owners: Set<any>, params: object }>} */
+    this._domains = new Map();
+    /** @type {Map<any, function>} Child target initializers by owner */
+    this._childInitializers = new Map();
+    this._onAttachedToTarget = (params) => this._initChildTarget(params);
+
+    this._onMessage = (_event, method, params, sessionId) => {
+      this.emit(method, params || {}, sessionId);
+    };
+
+    this._onDetach = (_event, reason) => {
+      this._attached = false;
+      this.emit('detached', reason);
+      if (this._domains.size > 0) this._reattach();
+    };
+
+    this._onDevToolsClosed = () => {
+      this._waitingForDevTools = false;
+      this._reattach();
+    };
+
+    this._wc.debugger.on('message', this._onMessage);
+    this._wc.debugger.on('detach', this._onDetach);
+  }
+
+  /** @returns {boolean} */
+  get attached() { return this._attached && this._wc.debugger.isAttached(); }
+
+  /**
+   * Attach the debugger if needed and restore all enabled domains.
+   */
+  async attach() {
+    if (this._destroyed) throw new Error('CDP session has been destroyed');
+    if (this.attached) return;
+    if (!this._attaching) {
+      this._attaching = this._attachAndRestore().finally(() => {
+        this._attaching = null;
+      });
+    }
+    return this._attaching;
+  }
+
+  async _attachAndRestore() {
+    const ok = await safeAttachDebugger(this._wc);
+    if (!ok) throw new Error('Cannot attach debugger for CDP command');
+
+    const reattached = this._everAttached;
+    this._attached = true;
+    this._everAttached = true;
+
+    for (const [domain, entry] of this._domains) {
+      try {
+        await this._wc.debugger.sendCommand(`${domain}.enable`, entry.params);
+      } catch {
+        // ignore — domain may not be available on this target
+      }
+    }
+    if (this._childInitializers.size > 0) {
+      await this._wc.debugger.sendCommand('Target.setAutoAttach', AUTO_ATTACH).catch(() => {});
+    }
+    if (reattached) this.emit('reattached');
+  }
+
+  /**
+   * Try to reattach after another client (e.g. DevTools) took the debugger.
+   */
+  _reattach() {
+    if (this._destroyed || this._wc.isDestroyed()) return;
+    this.attach().catch(() => {
+      // Still held elsewhere — retry once DevTools closes
+      if (this._destroyed || this._waitingForDevTools) return;
+      this._waitingForDevTools = true;
+      this._wc.once('devtools-closed', this._onDevToolsClosed);
+    });
+  }
+
+  /**
+   * Send a CDP command, attaching first if necessary.
+   * @param {string} method
+   * @param {object} [params]
+   * @param {string} [sessionId] - Child target session (flattened), see addChildTargetInitializer()
+   */
+  async send(method, params = {}, sessionId) {
+    await this.attach();
+    if (sessionId) return this._wc.debugger.sendCommand(method, params, sessionId);
+    return this._wc.debugger.sendCommand(method, params);
+  }
+
+  /**
+   * Run `fn(sessionId, targetInfo)` for every out-of-process iframe as it
+   * attaches, while it is still paused before its first script. Use it for
+   * settings that must hold in all frames (emulation, init scripts); the
+   * page's own target is the caller's to set up.
+   * @param {*} owner
+   * @param {function} fn - async (sessionId, targetInfo) => void
+   */
+  async addChildTargetInitializer(owner, fn) {
+    const first = this._childInitializers.size === 0;
+    this._childInitializers.set(owner, fn);
+    if (!first) return;
+    this.on('Target.attachedToTarget', this._onAttachedToTarget);
+    await this.send('Target.setAutoAttach', AUTO_ATTACH);
+  }
+
+  /**
+   * Remove an owner's child target initializer.
+   */
+  async removeChildTargetInitializer(owner) {
+    if (!this._childInitializers.delete(owner) || this._childInitializers.size > 0) return;
+    this.removeListener('Target.attachedToTarget', this._onAttachedToTarget);
+    if (!this.attached) return;
+    try {
+      await this._wc.debugger.sendCommand('Target.setAutoAttach', { autoAttach: false, waitForDebuggerOnStart: false });
+    } catch {
+      // ignore — target may be gone
+    }
+  }
+
+  async _initChildTarget({ sessionId, targetInfo, waitingForDebugger }) {
+    if (targetInfo.type === 'iframe') {
+      // Nested out-of-process iframes attach through their parent
+      await this.send('Target.setAutoAttach', AUTO_ATTACH, sessionId).catch(() => {});
+      for (const fn of this._childInitializers.values()) {
+        try {
+          await fn(sessionId, targetInfo);
+        } catch {
+          // ignore — frame may already be gone
+        }
+      }
+    }
+    // Every auto-attached target (workers too) waits until resumed
+    if (waitingForDebugger) {
+      this.send('Runtime.runIfWaitingForDebugger', {}, sessionId).catch(() => {});
+    }
+  }
+
+  /**
+   * Enable a domain on behalf of an owner. The domain stays enabled until
+   * every owner has disabled it. Calling again with different params
+   * re-issues `<Domain>.enable` (latest params win, e.g. Fetch patterns).
+   * @param {string} domain - e.g. 'Network', 'Page', 'Fetch'
+   * @param {*} owner - Any value identifying the consumer
+   * @param {object} [params] - Params for `<Domain>.enable`
+   */
+  async enableDomain(domain, owner, params = {}) {
+    await this.attach();
+    let entry = this._domains.get(domain);
+    const first = !entry;
+    if (!entry) {
+      entry = { owners: new Set(), params };
+      this._domains.set(domain, entry);
+    }
+    const changed = JSON.stringify(entry.params) !== JSON.stringify(params);
+    entry.owners.add(owner);
+    if (!first && !changed) return;
+
+    entry.params = params;
+    try {
+      await this._wc.debugger.sendCommand(`${domain}.enable`, params);
+    } catch (err) {
+      entry.owners.delete(owner);
+      if (entry.owners.size === 0) this._domains.delete(domain);
+      throw err;
+    }
+  }
+
+  /**
+   * Release an owner's hold on a domain. The domain is only disabled once
+   * no other owner needs it.
+   */
+  async disableDomain(domain, owner) {
+    const entry = this._domains.get(domain);
+    if (!entry || !entry.owners.delete(owner)) return;
+    if (entry.owners.size > 0) return;
+
+    this._domains.delete(domain);
+    if (!this.attached) return;
+    try {
+      await this._wc.debugger.sendCommand(`${domain}.disable`);
+    } catch {
+      // ignore — target may be gone
+    }
+  }
+
+  /**
+   * Release every domain held by an owner.
+   */
+  async release(owner) {
+    const domains = [];
+    for (const [domain, entry] of this._domains) {
+      if (entry.owners.has(owner)) domains.push(domain);
+    }
+    for (const domain of domains) {
+      await this.disableDomain(domain, owner);
+    }
+  }
+
+  /**
+   * Check whether a domain is currently enabled by any owner.
+   */
+  isDomainEnabled(domain) {
+    return this._domains.has(domain);
+  }
+
+  /**
+   * Detach the debugger and drop all subscribers.
+   */
+  destroy() {
+    if (this._destroyed) return;
+    this._destroyed = true;
+
+    try {
+      this._wc.debugger.removeListener('message', this._onMessage);
+      this._wc.debugger.removeListener('detach', this._onDetach);
+      this._wc.removeListener('devtools-closed', this._onDevToolsClosed);
+    } catch {
+      // ignore — webContents may already be destroyed
+    }
+
+    this._domains.clear();
+    this._childInitializers.clear();
+    this.removeAllListeners();
+    safeDetachDebugger(this._wc);
+    this._attached = false;
+
+    if (sessions.get(this._wc) === this) sessions.delete(this._wc);
+  }
+}
+
+module.exports = CDPSession;
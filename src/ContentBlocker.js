@@ -0,0 +1,257 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+/**
+ * Applies a FilterList to one page: blocks matching requests through the
+ * Network interception chain, injects cosmetic hiding CSS after each
+ * navigation, and counts what was blocked.
+ *
+ * Events: 'blocked' ({ url, resourceType, rule }).
+ */
+class ContentBlocker extends EventEmitter {
+  /**
+   * @param {Electron.WebContents} webContents
+   * @param {import('./Network')} network
+   * @param {import('./CDPSession')} cdp
+   */
+  constructor(webContents, network, cdp) {
+    super();
+    this._wc = webContents;
+    this._network = network;
+    this._cdp = cdp;
+    this._list = null;
+    this._ready = null;
+    this._cosmetic = true;
+    this._interceptorId = null;
+    this._cssKey = null;
+    this._mainFrameId = null;
+    /** @type {Map<string, { url: string, parentId: string|null }>} Committed documents by CDP frame ID */
+    this._frames = new Map();
+    this._cdpListeners = null;
+    this._onDomReady = null;
+    this._stats = this._emptyStats();
+  }
+
+  /** @returns {boolean} */
+  isEnabled() {
+    return this._ready !== null;
+  }
+
+  /**
+   * Start blocking with a filter list. Calling again replaces the list.
+   * Requests made while the list is still loading wait for it.
+   * @param {import('./FilterList')|Promise<import('./FilterList')>} filterList
+   * @param {object} [options]
+   * @param {boolean} [options.cosmetic=true] - Inject element hiding CSS
+   */
+  async enable(filterList, options = {}) {
+    if (this.isEnabled()) await this.disable();
+
+    this._cosmetic = options.cosmetic !== false;
+    this._ready = Promise.resolve(filterList).then((list) => {
+      this._list = list;
+      return list;
+    });
+    this._ready.catch(() => {});
+
+    await this._trackFrames();
+    this._interceptorId = await this._network.addInterceptor((params) => this._onRequest(params));
+
+    this._onDomReady = () => this._injectCosmetic();
+    this._wc.on('dom-ready', this._onDomReady);
+
+    try {
+      await this._ready;
+    } catch (err) {
+      await this.disable();
+      throw err;
+    }
+    if (this._pageUrl()) await this._injectCosmetic();
+  }
+
+  /**
+   * Stop blocking and remove injected CSS from the current page.
+   */
+  async disable() {
+    if (this._interceptorId) {
+      this._network.removeInterceptor(this._interceptorId);
+      this._interceptorId = null;
+    }
+    if (this._onDomReady) {
+      this._wc.removeListener('dom-ready', this._onDomReady);
+      this._onDomReady = null;
+    }
+    if (this._cdpListeners) {
+      for (const [method, listener] of Object.entries(this._cdpListeners)) {
+        this._cdp.removeListener(method, listener);
+      }
+      this._cdpListeners = null;
+      this._frames.clear();
+      await this._cdp.disableDomain('Page', this).catch(() => {});
+    }
+    if (this._cssKey) {
+      const key = this._cssKey;
+      this._cssKey = null;
+      try {
+        await this._wc.removeInsertedCSS(key);
+      } catch {
+        // ignore — page may have navigated away
+      }
+    }
+    this._list = null;
+    this._ready = null;
+  }
+
+  /**
+   * Blocked request counts since enable (or the last resetStats()).
+   * @returns {{ blocked: number, byType: object, byHost: object }}
+   */
+  getStats() {
+    return {
+      blocked: this._stats.blocked,
+      byType: { ...this._stats.byType },
+      byHost: { ...this._stats.byHost },
+    };
+  }
+
+  resetStats() {
+    this._stats = this._emptyStats();
+  }
+
+  _emptyStats() {
+    return { blocked: 0, byType: {}, byHost: {} };
+  }
+
+  _pageUrl() {
+    try {
+      return this._wc.getURL();
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Follow the URL committed in each frame, so requests are judged against
+   * the document that made them. webContents.getURL() still returns the old
+   * page while a navigation is in progress.
+   */
+  async _trackFrames() {
+    this._cdpListeners = {
+      'Page.frameNavigated': ({ frame }) => {
+        if (!frame.parentId) this._mainFrameId = frame.id;
+        this._frames.set(frame.id, { url: frame.url, parentId: frame.parentId || null });
+      },
+      'Page.frameDetached': ({ frameId }) => {
+        this._frames.delete(frameId);
+      },
+    };
+    for (const [method, listener] of Object.entries(this._cdpListeners)) {
+      this._cdp.on(method, listener);
+    }
+    await this._cdp.enableDomain('Page', this);
+
+    try {
+      const { frameTree } = await this._cdp.send('Page.getFrameTree');
+      this._mainFrameId = frameTree.frame.id;
+      const add = ({ frame, childFrames = [] }) => {
+        if (!this._frames.has(frame.id)) {
+          this._frames.set(frame.id, { url: frame.url, parentId: frame.parentId || null });
+        }
+        childFrames.forEach(add);
+      };
+      add(frameTree);
+    } catch {
+      // ignore — frames are picked up as they navigate
+    }
+  }
+
+  /**
+   * URL of the document a paused request comes from: its frame's, or the
+   * parent frame's for a frame's own document. Falls back to the main frame,
+   * then to the webContents URL.
+   */
+  _firstPartyUrl(params) {
+    let frame = this._frames.get(params.frameId);
+    if (frame && params.resourceType === 'Document') frame = this._frames.get(frame.parentId);
+    if (frame && frame.url) return frame.url;
+    const main = this._frames.get(this._mainFrameId);
+    if (main && main.url) return main.url;
+    return this._pageUrl();
+  }
+
+  async _isMainFrame(frameId) {
+    if (!this._mainFrameId) {
+      try {
+        const { frameTree } = await this._cdp.send('Page.getFrameTree');
+        this._mainFrameId = frameTree.frame.id;
+      } catch {
+        return true; // when unsure, never block a navigation
+      }
+    }
+    return frameId === this._mainFrameId;
+  }
+
+  async _onRequest(params) {
+    const list = this._list || await this._ready;
+    if (!list) return null;
+    if (params.resourceType === 'Document' && await this._isMainFrame(params.frameId)) return null;
+
+    const url = params.request.url;
+    const result = list.match({ url, type: params.resourceType, pageUrl: this._firstPartyUrl(params) });
+    if (!result.blocked) return null;
+
+    this._record(url, params.resourceType, result.rule);
+    return { action: 'block', errorReason: 'BlockedByClient' };
+  }
+
+  _record(url, resourceType, rule) {
+    let host = '';
+    try {
+      host = new URL(url).hostname;
+    } catch {
+      // ignore
+    }
+    const stats = this._stats;
+    stats.blocked++;
+    stats.byType[resourceType] = (stats.byType[resourceType] || 0) + 1;
+    if (host) stats.byHost[host] = (stats.byHost[host] || 0) + 1;
+    this.emit('blocked', { url, resourceType, rule });
+  }
+
+  async _injectCosmetic() {
+    if (!this._cosmetic || !this._ready) return;
+    const list = await this._ready.catch(() => null);
+    if (!list) return;
+
+    const url = this._pageUrl();
+    let hostname;
+    try {
+      hostname = new URL(url).hostname;
+    } catch {
+      return;
+    }
+    if (!hostname) return;
+
+    const pageOptions = list.getPageOptions(url);
+    if (pageOptions.document || pageOptions.elemhide) return;
+
+    const css = list.getHidingCSS(hostname, { generic: !pageOptions.generichide });
+    if (!css) return;
+    try {
+      this._cssKey = await this._wc.insertCSS(css);
+    } catch {
+      // ignore — page may have navigated away
+    }
+  }
+
+  /**
+   * Remove the interceptor and listeners.
+   */
+  destroy() {
+    this.disable().catch(() => {});
+    this.removeAllListeners();
+  }
+}
+
+module.exports = ContentBlocker;
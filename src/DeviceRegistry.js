@@ -0,0 +1,125 @@
+'use strict';
+
+const ORIENTATIONS = ['portrait', 'landscape'];
+
+const IOS_16_UA = 'Mozilla/5.0 (iPhone; CPU iPhone OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1';
+const IPADOS_16_UA = 'Mozilla/5.0 (iPad; CPU OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1';
+
+const BUILT_IN = {
+  iphone12: { viewport: { width: 390, height: 844 }, deviceScaleFactor: 3, userAgent: IOS_16_UA },
+  iphone14pro: { viewport: { width: 393, height: 852 }, deviceScaleFactor: 3, userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1' },
+  iphoneSE: { viewport: { width: 375, height: 667 }, deviceScaleFactor: 2, userAgent: IOS_16_UA },
+  pixel7: { viewport: { width: 412, height: 915 }, deviceScaleFactor: 2.625, userAgent: 'Mozilla/5.0 (Linux; Android 13; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36' },
+  galaxyS21: { viewport: { width: 360, height: 800 }, deviceScaleFactor: 3, userAgent: 'Mozilla/5.0 (Linux; Android 12; SM-G991B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36' },
+  ipadAir: { viewport: { width: 820, height: 1180 }, deviceScaleFactor: 2, userAgent: IPADOS_16_UA },
+  ipadPro: { viewport: { width: 1024, height: 1366 }, deviceScaleFactor: 2, userAgent: IPADOS_16_UA },
+};
+
+/** @type {Map<string, object>} */
+const devices = new Map();
+
+/**
+ * Validate a descriptor and fill in defaults. Also accepts the flat form
+ * emulateDevice() used to take: { width, height, mobile, ... }.
+ */
+function normalize(descriptor) {
+  if (!descriptor || typeof descriptor !== 'object') throw new Error('Device descriptor must be an object');
+  const viewport = descriptor.viewport || { width: descriptor.width, height: descriptor.height };
+  const { width, height } = viewport;
+  if (!Number.isInteger(width) || width <= 0 || !Number.isInteger(height) || height <= 0) {
+    throw new Error(`Invalid device viewport: ${width}x${height}. Expected positive integers`);
+  }
+  const deviceScaleFactor = descriptor.deviceScaleFactor === undefined ? 2 : descriptor.deviceScaleFactor;
+  if (typeof deviceScaleFactor !== 'number' || deviceScaleFactor <= 0) {
+    throw new Error(`Invalid deviceScaleFactor: ${deviceScaleFactor}`);
+  }
+  const orientation = descriptor.orientation || 'portrait';
+  if (!ORIENTATIONS.includes(orientation)) {
+    throw new Error(`Invalid orientation: ${orientation}. Valid: ${ORIENTATIONS.join(', ')}`);
+  }
+  let isMobile = descriptor.isMobile !== undefined ? descriptor.isMobile : descriptor.mobile;
+  if (isMobile === undefined) isMobile = true;
+  return {
+    viewport: { width, height },
+    deviceScaleFactor,
+    userAgent: descriptor.userAgent || null,
+    isMobile: Boolean(isMobile),
+    hasTouch: descriptor.hasTouch !== undefined ? Boolean(descriptor.hasTouch) : Boolean(isMobile),
+    orientation,
+  };
+}
+
+/**
+ * Named device descriptors for ElectronPage.emulateDevice() and setMobile(),
+ * shared by every page.
+ *
+ * A descriptor is { viewport: { width, height }, deviceScaleFactor = 2,
+ * userAgent, isMobile = true, hasTouch = isMobile, orientation = 'portrait' },
+ * where viewport and orientation describe the device as usually held.
+ */
+class DeviceRegistry {
+  /**
+   * Add a descriptor, or replace one (built-ins included).
+   * @param {string} name
+   * @param {object} descriptor
+   */
+  static register(name, descriptor) {
+    if (!name || typeof name !== 'string') throw new Error('Device name must be a non-empty string');
+    devices.set(name, normalize(descriptor));
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean} Whether it was registered
+   */
+  static unregister(name) {
+    return devices.delete(name);
+  }
+
+  /**
+   * Registered descriptor, or null.
+   * @param {string} name
+   * @returns {object|null}
+   */
+  static get(name) {
+    const descriptor = devices.get(name);
+    return descriptor ? { ...descriptor, viewport: { ...descriptor.viewport } } : null;
+  }
+
+  /** @returns {string[]} Registered device names */
+  static names() {
+    return Array.from(devices.keys());
+  }
+
+  /**
+   * Descriptor for a name or an ad-hoc descriptor, turned to the requested
+   * orientation: the viewport is swapped when it differs from the device's.
+   * @param {string|object} nameOrDescriptor
+   * @param {object} [options]
+   * @param {boolean} [options.landscape] - Default: the descriptor's orientation
+   * @returns {object}
+   */
+  static resolve(nameOrDescriptor, options = {}) {
+    let descriptor;
+    if (typeof nameOrDescriptor === 'string') {
+      descriptor = DeviceRegistry.get(nameOrDescriptor);
+      if (!descriptor) {
+        throw new Error(`Unknown device: ${nameOrDescriptor}. Available: ${DeviceRegistry.names().join(', ')}`);
+      }
+    } else {
+      descriptor = normalize(nameOrDescriptor);
+    }
+    if (options.landscape === undefined) return descriptor;
+
+    const orientation = options.landscape ? 'landscape' : 'portrait';
+    if (orientation === descriptor.orientation) return descriptor;
+    const { width, height } = descriptor.viewport;
+    return { ...descriptor, viewport: { width: height, height: width }, orientation };
+  }
+}
+
+for (const [name, descriptor] of Object.entries(BUILT_IN)) {
+  DeviceRegistry.register(name, descriptor);
+}
+
+module.exports = DeviceRegistry;
@@ -1,13 +1,15 @@
 'use strict';
 
-const { safeAttachDebugger, cdpSend } = require('./utils');
+const CDPSession = require('./CDPSession');
 
 class DialogHandler {
   /**
    * @param {Electron.WebContents} webContents
+   * @param {CDPSession} [cdp] - Shared CDP session (defaults to the one for webContents)
    */
-  constructor(webContents) {
+  constructor(webContents, cdp) {
     this._wc = webContents;
+    this._cdp = cdp || CDPSession.for(webContents);
     this._enabled = false;
     this._handler = null;
     this._onDialog = null;
@@ -25,8 +27,7 @@ class DialogHandler {
    */
   async enable(options = {}) {
     if (this._enabled) return;
-    await safeAttachDebugger(this._wc);
-    await cdpSend(this._wc, 'Page.enable');
+    await this._cdp.enableDomain('Page', this);
 
     this._handler = options.handler || null;
     this._defaultOptions = {
@@ -36,9 +37,7 @@ class DialogHandler {
       acceptBeforeUnload: options.acceptBeforeUnload !== false,
     };
 
-    this._onDialog = async (_event, method, params) => {
-      if (method !== 'Page.javascriptDialogOpening') return;
-
+    this._onDialog = async (params) => {
       const dialog = {
         type: params.type,
         message: params.message,
@@ -79,7 +78,7 @@ class DialogHandler {
       }
 
       try {
-        await cdpSend(this._wc, 'Page.handleJavaScriptDialog', {
+        await this._cdp.send('Page.handleJavaScriptDialog', {
           accept,
           promptText,
         });
@@ -88,7 +87,7 @@ class DialogHandler {
       }
     };
 
-    this._wc.debugger.on('message', this._onDialog);
+    this._cdp.on('Page.javascriptDialogOpening', this._onDialog);
     this._enabled = true;
   }
 
@@ -98,15 +97,12 @@ class DialogHandler {
   async disable() {
     if (!this._enabled) return;
     if (this._onDialog) {
-      try {
-        this._wc.debugger.removeListener('message', this._onDialog);
-      } catch {
-        // ignore
-      }
+      this._cdp.removeListener('Page.javascriptDialogOpening', this._onDialog);
       this._onDialog = null;
     }
     this._handler = null;
     this._enabled = false;
+    await this._cdp.disableDomain('Page', this);
   }
 
   /**
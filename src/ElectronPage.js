@@ -1,5 +1,6 @@
 'use strict';
 
+const { EventEmitter } = require('events');
 const { BrowserView } = require('electron');
 const Mouse = require('./Mouse');
 const Keyboard = require('./Keyboard');
@@ -7,8 +8,16 @@ const Network = require('./Network');
 const Waiter = require('./Waiter');
 const Touch = require('./Touch');
 const DialogHandler = require('./DialogHandler');
+const AuthHandler = require('./AuthHandler');
 const DownloadManager = require('./DownloadManager');
-const { sleep, safeDetachDebugger, safeAttachDebugger, cdpSend } = require('./utils');
+const CDPSession = require('./CDPSession');
+const HarRecorder = require('./HarRecorder');
+const ContentBlocker = require('./ContentBlocker');
+const Emulation = require('./Emulation');
+const DeviceRegistry = require('./DeviceRegistry');
+const Fingerprint = require('./Fingerprint');
+const Stealth = require('./Stealth');
+const { sleep } = require('./utils');
 const ElementHandle = require('./ElementHandle');
 
 const DISABLE_ANIMATIONS_CSS = `
@@ -19,30 +28,109 @@ const DISABLE_ANIMATIONS_CSS = `
   transition-delay: 0s !important;
 }`;
 
-class ElectronPage {
+/**
+ * Events: 'request', 'response', 'requestfinished', 'requestfailed', 'websocket'.
+ */
+class ElectronPage extends EventEmitter {
   /**
    * @param {Electron.BrowserView} view
    * @param {object} [options]
    * @param {boolean} [options.disableImages]
    * @param {boolean} [options.disableAnimations]
+   * @param {string|object} [options.networkConditions] - Preset name or conditions for network.emulateConditions()
+   * @param {object} [options.contentBlocking] - { filterList, cosmetic } for contentBlocker.enable()
+   * @param {object|function} [options.credentials] - HTTP auth credentials, see auth.setCredentials()
+   * @param {object|function} [options.proxyAuth] - Proxy credentials, see auth.setProxyCredentials()
+   * @param {object} [options.fingerprint] - Resolved fingerprint, see Fingerprint.resolve()
+   * @param {boolean} [options.stealth] - Enable stealth mode, see stealth.enable()
+   * @param {string} [options.timezone] - See emulateTimezone()
+   * @param {string} [options.locale] - See emulateLocale()
+   * @param {object} [options.geolocation] - See setGeolocation()
    */
   constructor(view, options = {}) {
+    super();
     this._view = view;
     this._wc = view.webContents;
     this._destroyed = false;
 
+    // One CDP session per page, shared by every CDP-based module
+    this._cdp = CDPSession.for(this._wc);
+
     this.mouse = new Mouse(this._wc);
     this.keyboard = new Keyboard(this._wc);
-    this.network = new Network(this._wc);
-    this.touch = new Touch(this._wc);
-    this.dialogs = new DialogHandler(this._wc);
+    this.network = new Network(this._wc, this._cdp);
+    this.touch = new Touch(this._wc, this._cdp);
+    this.dialogs = new DialogHandler(this._wc, this._cdp);
+    this.auth = new AuthHandler(this._wc);
     this.downloads = new DownloadManager(this._wc);
-    this._waiter = new Waiter(this._wc);
+    this._waiter = new Waiter(this._wc, this.network, this._cdp);
+    this._har = new HarRecorder(this._wc, this.network, this._cdp);
+    this.contentBlocker = new ContentBlocker(this._wc, this.network, this._cdp);
+    this._emulation = new Emulation(this._wc, this._cdp);
+    this.fingerprint = new Fingerprint(this._wc, this._cdp, this._emulation);
+    this.stealth = new Stealth(this._wc, this.network, this._cdp, this.fingerprint);
 
     this._options = options;
     this._handleCounter = 0;
     this._popupHandler = null;
     this._onNewWindow = null;
+    this._fileChooserListener = null;
+    // Settles once everything that must precede the first document is set up
+    this._ready = Promise.resolve();
+
+    // Forward network traffic events on first subscription (starts CDP tracking)
+    this._forwardedEvents = new Set();
+    this.on('newListener', (event) => {
+      if (!Network.EVENTS.includes(event) || this._forwardedEvents.has(event)) return;
+      this._forwardedEvents.add(event);
+      this.network.on(event, (payload) => this.emit(event, payload));
+    });
+
+    // Register the image blocker once — Fetch interception survives navigations
+    if (options.disableImages) {
+      this.network.blockResourceTypes(['Image', 'Media']).catch(() => {});
+    }
+
+    if (options.networkConditions) {
+      this.network.emulateConditions(options.networkConditions).catch((err) => {
+        console.error('[ISHbrowser] Network conditions not applied:', err.message);
+      });
+    }
+
+    if (options.credentials) this.auth.setCredentials(options.credentials);
+    if (options.proxyAuth) this.auth.setProxyCredentials(options.proxyAuth);
+
+    if (options.contentBlocking) {
+      const { filterList, cosmetic } = options.contentBlocking;
+      this.contentBlocker.enable(filterList, { cosmetic }).catch((err) => {
+        console.error('[ISHbrowser] Content blocking disabled:', err.message);
+      });
+    }
+
+    if (options.fingerprint) {
+      this._ready = this.fingerprint.apply(options.fingerprint).catch((err) => {
+        console.error('[ISHbrowser] Fingerprint not applied:', err.message);
+      });
+    }
+
+    if (options.stealth) {
+      // After the fingerprint, whose user agent stealth mode keeps
+      this._ready = this._ready.then(() => this.stealth.enable()).catch((err) => {
+        console.error('[ISHbrowser] Stealth mode not enabled:', err.message);
+      });
+    }
+
+    // After the fingerprint, so these win over its timezone and languages
+    const { timezone, locale, geolocation } = options;
+    if (timezone || locale || geolocation) {
+      this._ready = this._ready.then(async () => {
+        if (timezone) await this.emulateTimezone(timezone);
+        if (locale) await this.emulateLocale(locale);
+        if (geolocation) await this.setGeolocation(geolocation);
+      }).catch((err) => {
+        console.error('[ISHbrowser] Emulation not applied:', err.message);
+      });
+    }
 
     // Apply performance options after each navigation
     this._onFinishLoad = () => this._applyPerformanceOptions();
@@ -59,15 +147,14 @@ class ElectronPage {
   get webContents() { return this._wc; }
   /** @returns {Electron.BrowserView} */
   get view() { return this._view; }
+  /** @returns {CDPSession} */
+  get cdp() { return this._cdp; }
 
   // --- Performance ---
 
   async _applyPerformanceOptions() {
     if (this._destroyed) return;
     try {
-      if (this._options.disableImages) {
-        await this.network.blockResourceTypes(['Image', 'Media']);
-      }
       if (this._options.disableAnimations) {
         await this._wc.insertCSS(DISABLE_ANIMATIONS_CSS);
       }
@@ -81,6 +168,7 @@ class ElectronPage {
   // ==============================
 
   async goto(url) {
+    await this._ready;
     await this._wc.loadURL(url);
   }
 
@@ -205,8 +293,59 @@ class ElectronPage {
     });
   }
 
-  async waitForNetworkIdle(timeout = 30000) {
-    return this._waiter.waitForNetworkIdle(timeout);
+  /**
+   * Wait until no more than `maxInflight` requests are outstanding for `idleTime` ms.
+   * @param {object|number} [options] - { timeout = 30000, idleTime = 500, maxInflight = 0, ignore, throwOnTimeout = true },
+   *   or a timeout (legacy form, with idleTime as the second argument)
+   * @param {number} [idleTime] - Legacy form only
+   * @returns {Promise<boolean>}
+   */
+  async waitForNetworkIdle(options = {}, idleTime) {
+    return this._waiter.waitForNetworkIdle(options, idleTime);
+  }
+
+  /**
+   * Wait for a request matching a URL glob, RegExp or predicate (request) => boolean.
+   * @param {string|RegExp|function} urlOrPredicate
+   * @param {object} [options] - { timeout = 30000 }
+   * @returns {Promise<import('./Request')>}
+   */
+  async waitForRequest(urlOrPredicate, options = {}) {
+    return this._waiter.waitForRequest(urlOrPredicate, options);
+  }
+
+  /**
+   * Wait for a response matching a URL glob, RegExp or predicate (response) => boolean.
+   * @param {string|RegExp|function} urlOrPredicate
+   * @param {object} [options] - { timeout = 30000 }
+   * @returns {Promise<import('./Response')>}
+   */
+  async waitForResponse(urlOrPredicate, options = {}) {
+    return this._waiter.waitForResponse(urlOrPredicate, options);
+  }
+
+  /**
+   * Start waiting for a request, run an action that triggers it, and resolve
+   * with the request. Listening starts before the action, so there is no race.
+   * @param {string|RegExp|function} urlOrPredicate
+   * @param {function} action - async () => void, e.g. () => page.click('#submit')
+   * @param {object} [options] - { timeout = 30000 }
+   * @returns {Promise<import('./Request')>}
+   */
+  async expectRequest(urlOrPredicate, action, options = {}) {
+    return this._waiter.expectRequest(urlOrPredicate, action, options);
+  }
+
+  /**
+   * Start waiting for a response, run an action that triggers it, and resolve
+   * with the response.
+   * @param {string|RegExp|function} urlOrPredicate
+   * @param {function} action - async () => void
+   * @param {object} [options] - { timeout = 30000 }
+   * @returns {Promise<import('./Response')>}
+   */
+  async expectResponse(urlOrPredicate, action, options = {}) {
+    return this._waiter.expectResponse(urlOrPredicate, action, options);
   }
 
   // ==============================
@@ -418,6 +557,11 @@ class ElectronPage {
     return `eac_${Date.now()}_${++this._handleCounter}`;
   }
 
+  // Stealth mode keeps handles out of the DOM
+  _isolatedHandles() {
+    return this.stealth.isEnabled();
+  }
+
   /**
    * Select a single element by CSS selector. Returns an ElementHandle for interaction.
    * @param {string} selector
@@ -426,16 +570,17 @@ class ElectronPage {
   async $(selector) {
     const escaped = selector.replace(/'/g, "\\'");
     const handleId = this._nextHandleId();
-    const found = await this._wc.executeJavaScript(`
+    const isolated = this._isolatedHandles();
+    const found = await ElementHandle.evaluate(this._wc, `
       (function() {
         var el = document.querySelector('${escaped}');
         if (!el) return false;
-        el.setAttribute('__eac_id', '${handleId}');
+        ${ElementHandle.markScript(`'${handleId}'`, isolated)}
         return true;
       })()
-    `, true);
+    `, isolated);
     if (!found) return null;
-    return new ElementHandle(this._wc, this.mouse, this.keyboard, handleId);
+    return new ElementHandle(this._wc, this.mouse, this.keyboard, handleId, isolated);
   }
 
   /**
@@ -446,18 +591,20 @@ class ElectronPage {
   async $$(selector) {
     const escaped = selector.replace(/'/g, "\\'");
     const baseId = this._nextHandleId();
-    const count = await this._wc.executeJavaScript(`
+    const isolated = this._isolatedHandles();
+    const count = await ElementHandle.evaluate(this._wc, `
       (function() {
         var els = document.querySelectorAll('${escaped}');
         for (var i = 0; i < els.length; i++) {
-          els[i].setAttribute('__eac_id', '${baseId}_' + i);
+          var el = els[i];
+          ${ElementHandle.markScript(`'${baseId}_' + i`, isolated)}
         }
         return els.length;
       })()
-    `, true);
+    `, isolated);
     const handles = [];
     for (let i = 0; i < count; i++) {
-      handles.push(new ElementHandle(this._wc, this.mouse, this.keyboard, `${baseId}_${i}`));
+      handles.push(new ElementHandle(this._wc, this.mouse, this.keyboard, `${baseId}_${i}`, isolated));
     }
     return handles;
   }
@@ -470,20 +617,21 @@ class ElectronPage {
   async $x(expression) {
     const escaped = expression.replace(/'/g, "\\'");
     const baseId = this._nextHandleId();
-    const count = await this._wc.executeJavaScript(`
+    const isolated = this._isolatedHandles();
+    const count = await ElementHandle.evaluate(this._wc, `
       (function() {
         var result = document.evaluate('${escaped}', document, null,
           XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
         for (var i = 0; i < result.snapshotLength; i++) {
           var el = result.snapshotItem(i);
-          if (el.setAttribute) el.setAttribute('__eac_id', '${baseId}_' + i);
+          if (el.setAttribute) { ${ElementHandle.markScript(`'${baseId}_' + i`, isolated)} }
         }
         return result.snapshotLength;
       })()
-    `, true);
+    `, isolated);
     const handles = [];
     for (let i = 0; i < count; i++) {
-      handles.push(new ElementHandle(this._wc, this.mouse, this.keyboard, `${baseId}_${i}`));
+      handles.push(new ElementHandle(this._wc, this.mouse, this.keyboard, `${baseId}_${i}`, isolated));
     }
     return handles;
   }
@@ -538,12 +686,11 @@ class ElectronPage {
    * Click at (x, y) using CDP — reliable coordinate system for BrowserView.
    */
   async _cdpClick(x, y) {
-    await safeAttachDebugger(this._wc);
-    await cdpSend(this._wc, 'Input.dispatchMouseEvent', {
+    await this._cdp.send('Input.dispatchMouseEvent', {
       type: 'mousePressed', x, y, button: 'left', clickCount: 1,
     });
     await sleep(20);
-    await cdpSend(this._wc, 'Input.dispatchMouseEvent', {
+    await this._cdp.send('Input.dispatchMouseEvent', {
       type: 'mouseReleased', x, y, button: 'left', clickCount: 1,
     });
     await sleep(5);
@@ -650,13 +797,12 @@ class ElectronPage {
     const escaped = selector.replace(/'/g, "\\'");
     await this.waitForSelector(selector, 10000);
     // Use webContents debugger
-    await safeAttachDebugger(this._wc);
-    const { root } = await cdpSend(this._wc, 'DOM.getDocument');
-    const { nodeId: nId } = await cdpSend(this._wc, 'DOM.querySelector', {
+    const { root } = await this._cdp.send('DOM.getDocument');
+    const { nodeId: nId } = await this._cdp.send('DOM.querySelector', {
       nodeId: root.nodeId,
       selector,
     });
-    await cdpSend(this._wc, 'DOM.setFileInputFiles', {
+    await this._cdp.send('DOM.setFileInputFiles', {
       nodeId: nId,
       files: Array.isArray(filePath) ? filePath : [filePath],
     });
@@ -670,16 +816,15 @@ class ElectronPage {
    */
   async uploadByIndex(selector, index, filePath) {
     await this.waitForSelector(selector, 10000);
-    await safeAttachDebugger(this._wc);
-    const { root } = await cdpSend(this._wc, 'DOM.getDocument');
-    const { nodeIds } = await cdpSend(this._wc, 'DOM.querySelectorAll', {
+    const { root } = await this._cdp.send('DOM.getDocument');
+    const { nodeIds } = await this._cdp.send('DOM.querySelectorAll', {
       nodeId: root.nodeId,
       selector,
     });
     if (!nodeIds || index >= nodeIds.length) {
       throw new Error(`Element at index ${index} not found for selector: ${selector} (found ${nodeIds ? nodeIds.length : 0})`);
     }
-    await cdpSend(this._wc, 'DOM.setFileInputFiles', {
+    await this._cdp.send('DOM.setFileInputFiles', {
       nodeId: nodeIds[index],
       files: Array.isArray(filePath) ? filePath : [filePath],
     });
@@ -702,20 +847,17 @@ class ElectronPage {
     const files = Array.isArray(filePaths) ? filePaths : [filePaths];
     const persistent = options.persistent || false;
 
-    await safeAttachDebugger(this._wc);
-    await cdpSend(this._wc, 'Page.enable');
-    await cdpSend(this._wc, 'Page.setInterceptFileChooserDialog', { enabled: true });
+    await this._cdp.enableDomain('Page', 'fileChooser');
+    await this._cdp.send('Page.setInterceptFileChooserDialog', { enabled: true });
 
     // Remove old listener if any
     if (this._fileChooserListener) {
-      this._wc.debugger.removeListener('message', this._fileChooserListener);
+      this._cdp.removeListener('Page.fileChooserOpened', this._fileChooserListener);
     }
 
-    this._fileChooserListener = async (_event, method, params) => {
-      if (method !== 'Page.fileChooserOpened') return;
-
+    this._fileChooserListener = async (params) => {
       try {
-        await cdpSend(this._wc, 'DOM.setFileInputFiles', {
+        await this._cdp.send('DOM.setFileInputFiles', {
           backendNodeId: params.backendNodeId,
           files,
         });
@@ -728,22 +870,20 @@ class ElectronPage {
       }
     };
 
-    this._wc.debugger.on('message', this._fileChooserListener);
+    this._cdp.on('Page.fileChooserOpened', this._fileChooserListener);
   }
 
   /**
    * Stop intercepting file chooser dialogs.
    */
   async stopInterceptFileChooser() {
-    if (this._fileChooserListener) {
-      try {
-        this._wc.debugger.removeListener('message', this._fileChooserListener);
-      } catch { /* ignore */ }
-      this._fileChooserListener = null;
-    }
+    if (!this._fileChooserListener) return;
+    this._cdp.removeListener('Page.fileChooserOpened', this._fileChooserListener);
+    this._fileChooserListener = null;
     try {
-      await cdpSend(this._wc, 'Page.setInterceptFileChooserDialog', { enabled: false });
+      await this._cdp.send('Page.setInterceptFileChooserDialog', { enabled: false });
     } catch { /* ignore */ }
+    await this._cdp.disableDomain('Page', 'fileChooser');
   }
 
   async screenshot(options = {}) {
@@ -923,6 +1063,58 @@ class ElectronPage {
     `, true);
   }
 
+  // ==============================
+  // Network Routing
+  // ==============================
+
+  /**
+   * Route requests matching a pattern to a handler (mock, modify or abort).
+   * @param {string|RegExp|function} pattern - URL glob, RegExp or (url) => boolean
+   * @param {function} handler - async (route) => void
+   */
+  async route(pattern, handler) {
+    await this.network.route(pattern, handler);
+  }
+
+  /**
+   * Remove routes for a pattern (optionally only a specific handler).
+   */
+  async unroute(pattern, handler) {
+    await this.network.unroute(pattern, handler);
+  }
+
+  /**
+   * Serve requests from a recorded HAR file instead of the network.
+   * @param {string|object} har - Path to a .har file or a parsed HAR object
+   * @param {object} [options] - { url, notFound: 'abort'|'fallback', matchPostData }
+   */
+  async routeFromHar(har, options = {}) {
+    return this.network.routeFromHar(har, options);
+  }
+
+  // ==============================
+  // HAR Recording
+  // ==============================
+
+  /**
+   * Start recording all traffic of this page into a HAR.
+   * @param {object} [options]
+   * @param {string} [options.content='omit'] - 'embed' to include response bodies
+   * @param {function} [options.filter] - (request) => boolean
+   */
+  async startHar(options = {}) {
+    await this._har.start(options);
+  }
+
+  /**
+   * Stop recording and return the HAR 1.2 object.
+   * @param {object} [options]
+   * @param {string} [options.path] - Also write the HAR JSON to this file
+   */
+  async stopHar(options = {}) {
+    return this._har.stop(options);
+  }
+
   // ==============================
   // Browser Emulation
   // ==============================
@@ -945,52 +1137,77 @@ class ElectronPage {
   }
 
   /**
-   * Emulate a mobile device with touch, viewport, and UA override.
+   * Override the timezone seen by Date and Intl. Kept across navigations,
+   * in every frame, and re-applied after a crash.
+   * @param {string|null} timezoneId - IANA ID, e.g. 'America/New_York'; null restores the system timezone
    */
-  async emulateDevice(device) {
-    await safeAttachDebugger(this._wc);
-    await cdpSend(this._wc, 'Emulation.setDeviceMetricsOverride', {
-      width: device.width,
-      height: device.height,
-      deviceScaleFactor: device.deviceScaleFactor || 2,
-      mobile: device.mobile !== false,
-    });
-    await cdpSend(this._wc, 'Emulation.setTouchEmulationEnabled', {
-      enabled: device.hasTouch !== false,
-    });
-    if (device.userAgent) {
-      await cdpSend(this._wc, 'Emulation.setUserAgentOverride', {
-        userAgent: device.userAgent,
-      });
-    }
+  async emulateTimezone(timezoneId) {
+    await this._emulation.setTimezone(timezoneId);
   }
 
   /**
-   * Quick switch to mobile view with common presets.
-   * @param {string} [preset='iphone12'] - Device preset name.
+   * Override the locale: Intl and date/number formatting, navigator.language(s)
+   * and the Accept-Language header ('de-DE' sends 'de-DE,de;q=0.9').
+   * Kept like emulateTimezone().
+   * @param {string|null} locale - e.g. 'de-DE'; null restores the default
    */
-  async setMobile(preset = 'iphone12') {
-    const devices = {
-      iphone12: { width: 390, height: 844, deviceScaleFactor: 3, userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1' },
-      iphone14pro: { width: 393, height: 852, deviceScaleFactor: 3, userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1' },
-      iphoneSE: { width: 375, height: 667, deviceScaleFactor: 2, userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1' },
-      pixel7: { width: 412, height: 915, deviceScaleFactor: 2.625, userAgent: 'Mozilla/5.0 (Linux; Android 13; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36' },
-      galaxyS21: { width: 360, height: 800, deviceScaleFactor: 3, userAgent: 'Mozilla/5.0 (Linux; Android 12; SM-G991B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36' },
-      ipadAir: { width: 820, height: 1180, deviceScaleFactor: 2, userAgent: 'Mozilla/5.0 (iPad; CPU OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1' },
-      ipadPro: { width: 1024, height: 1366, deviceScaleFactor: 2, userAgent: 'Mozilla/5.0 (iPad; CPU OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1' },
-    };
-    const device = devices[preset];
-    if (!device) throw new Error(`Unknown device preset: ${preset}. Available: ${Object.keys(devices).join(', ')}`);
-    await this.emulateDevice(device);
+  async emulateLocale(locale) {
+    await this._emulation.setLocale(locale);
+  }
+
+  /**
+   * Override the position reported by navigator.geolocation. Kept like
+   * emulateTimezone(). Sites still need the geolocation permission, see
+   * setPermissions().
+   * @param {object|null} position - { latitude, longitude, accuracy = 0 } (accuracy in meters); null removes the override
+   */
+  async setGeolocation(position) {
+    await this._emulation.setGeolocation(position);
+  }
+
+  /**
+   * Emulate the CSS media type and user preference media features, e.g. to
+   * screenshot the dark variant of a page. Options left out keep their
+   * current value; null resets one. Kept like emulateTimezone().
+   * @param {object|null} options - null resets everything
+   * @param {string|null} [options.media] - 'screen' or 'print'
+   * @param {string|null} [options.colorScheme] - 'light', 'dark' or 'no-preference'
+   * @param {string|null} [options.reducedMotion] - 'reduce' or 'no-preference'
+   * @param {string|null} [options.forcedColors] - 'active' or 'none'
+   */
+  async emulateMedia(options) {
+    await this._emulation.setMedia(options);
+  }
+
+  /**
+   * Emulate a device: viewport, scale factor, mobile mode, touch, screen
+   * orientation and user agent with matching client hints. Kept like
+   * emulateTimezone().
+   * @param {string|object} nameOrDescriptor - A DeviceRegistry name, or a descriptor
+   *   { viewport: { width, height }, deviceScaleFactor, userAgent, isMobile, hasTouch, orientation }
+   * @param {object} [options]
+   * @param {boolean} [options.landscape] - Rotate to landscape (true) or portrait (false);
+   *   default is the descriptor's orientation
+   */
+  async emulateDevice(nameOrDescriptor, options = {}) {
+    await this._emulation.setDevice(DeviceRegistry.resolve(nameOrDescriptor, options));
+  }
+
+  /**
+   * Quick switch to mobile view with a registered device.
+   * @param {string} [preset='iphone12'] - DeviceRegistry name
+   * @param {object} [options] - { landscape }, see emulateDevice()
+   */
+  async setMobile(preset = 'iphone12', options = {}) {
+    await this.emulateDevice(preset, options);
   }
 
   /**
-   * Reset mobile emulation back to desktop.
+   * Reset device emulation back to desktop: metrics, touch and the user
+   * agent override (back to the fingerprint's or the page's own).
    */
   async setDesktop() {
-    await safeAttachDebugger(this._wc);
-    await cdpSend(this._wc, 'Emulation.clearDeviceMetricsOverride');
-    await cdpSend(this._wc, 'Emulation.setTouchEmulationEnabled', { enabled: false });
+    await this._emulation.setDevice(null);
   }
 
   // ==============================
@@ -1359,11 +1576,18 @@ class ElectronPage {
       // ignore
     }
 
-    // Destroy sub-modules
+    // Destroy sub-modules, then the shared CDP session (detaches debugger)
+    this._har.destroy();
+    this.contentBlocker.destroy();
     this.network.destroy();
     this.dialogs.destroy();
+    this.auth.destroy();
     this.downloads.destroy();
-    safeDetachDebugger(this._wc);
+    this.fingerprint.destroy();
+    this.stealth.destroy();
+    this._emulation.destroy();
+    this._cdp.destroy();
+    this.removeAllListeners();
   }
 }
 
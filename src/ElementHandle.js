@@ -2,9 +2,14 @@
 
 const { sleep } = require('./utils');
 
+// Isolated world holding element handles in stealth mode. Page scripts
+// can't see into it, so handles leave no trace in the DOM.
+const HANDLE_WORLD_ID = 1001;
+
 /**
  * Represents a handle to a DOM element for chainable interaction.
- * Identified by a unique __eac_id attribute set on the element.
+ * Identified by a unique __eac_id attribute set on the element, or in
+ * isolated mode by an entry in a map kept in HANDLE_WORLD_ID.
  */
 class ElementHandle {
   /**
@@ -12,26 +17,61 @@ class ElementHandle {
    * @param {import('./Mouse')} mouse
    * @param {import('./Keyboard')} keyboard
    * @param {string} handleId - Unique ID assigned to the element
+   * @param {boolean} [isolated=false] - Handle lives in the isolated world (see ElementHandle.markScript())
    */
-  constructor(webContents, mouse, keyboard, handleId) {
+  constructor(webContents, mouse, keyboard, handleId, isolated = false) {
     this._wc = webContents;
     this._mouse = mouse;
     this._keyboard = keyboard;
     this._id = handleId;
+    this._isolated = isolated;
+    this._ref = isolated
+      ? `(window.__handles && window.__handles.get('${handleId}'))`
+      : `document.querySelector('[__eac_id="${handleId}"]')`;
+  }
+
+  /**
+   * Statement that registers element `el` under the handle ID expression
+   * `idExpr`. Run it with ElementHandle.evaluate() in the same mode.
+   * @param {string} idExpr - JS expression for the handle ID
+   * @param {boolean} isolated
+   * @returns {string}
+   */
+  static markScript(idExpr, isolated) {
+    return isolated
+      ? `(window.__handles || (window.__handles = new Map())).set(${idExpr}, el);`
+      : `el.setAttribute('__eac_id', ${idExpr});`;
+  }
+
+  /**
+   * Run code where handles of the given mode live.
+   * @param {Electron.WebContents} webContents
+   * @param {string} code
+   * @param {boolean} isolated
+   * @returns {Promise<*>}
+   */
+  static evaluate(webContents, code, isolated) {
+    return isolated
+      ? webContents.executeJavaScriptInIsolatedWorld(HANDLE_WORLD_ID, [{ code }], true)
+      : webContents.executeJavaScript(code, true);
+  }
+
+  _exec(code) {
+    return ElementHandle.evaluate(this._wc, code, this._isolated);
   }
 
   /**
    * Get bounding box center of this element.
    */
   async _center() {
-    const rect = await this._wc.executeJavaScript(`
+    const rect = await this._exec(`
       (function() {
-        var el = document.querySelector('[__eac_id="${this._id}"]');
+        var el = ${this._ref};
         if (!el) return null;
         var r = el.getBoundingClientRect();
         return { x: r.x + r.width / 2, y: r.y + r.height / 2 };
       })()
-    `, true);
+    `);
     if (!rect) throw new Error(`Element handle expired (id: ${this._id})`);
     return rect;
   }
@@ -40,9 +80,9 @@ class ElementHandle {
    * Get element info (tagName, id, className, text, value, bounds).
    */
   async getInfo() {
-    return this._wc.executeJavaScript(`
+    return this._exec(`
       (function() {
-        var el = document.querySelector('[__eac_id="${this._id}"]');
+        var el = ${this._ref};
         if (!el) return null;
         var r = el.getBoundingClientRect();
         return {
@@ -55,7 +95,7 @@ class ElementHandle {
           bounds: { x: r.x, y: r.y, width: r.width, height: r.height },
         };
       })()
-    `, true);
+    `);
   }
 
   /**
@@ -94,12 +134,12 @@ class ElementHandle {
    * Focus this element.
    */
   async focus() {
-    await this._wc.executeJavaScript(`
+    await this._exec(`
       (function() {
-        var el = document.querySelector('[__eac_id="${this._id}"]');
+        var el = ${this._ref};
         if (el) el.focus();
       })()
-    `, true);
+    `);
   }
 
   /**
@@ -115,69 +155,69 @@ class ElementHandle {
    */
   async select(value) {
     const escapedVal = value.replace(/'/g, "\\'");
-    await this._wc.executeJavaScript(`
+    await this._exec(`
       (function() {
-        var el = document.querySelector('[__eac_id="${this._id}"]');
+        var el = ${this._ref};
         if (el) {
           el.value = '${escapedVal}';
           el.dispatchEvent(new Event('change', { bubbles: true }));
         }
       })()
-    `, true);
+    `);
   }
 
   /**
    * Check a checkbox.
    */
   async check() {
-    await this._wc.executeJavaScript(`
+    await this._exec(`
       (function() {
-        var el = document.querySelector('[__eac_id="${this._id}"]');
+        var el = ${this._ref};
         if (el && !el.checked) {
           el.checked = true;
           el.dispatchEvent(new Event('change', { bubbles: true }));
         }
       })()
-    `, true);
+    `);
   }
 
   /**
    * Uncheck a checkbox.
    */
   async uncheck() {
-    await this._wc.executeJavaScript(`
+    await this._exec(`
       (function() {
-        var el = document.querySelector('[__eac_id="${this._id}"]');
+        var el = ${this._ref};
         if (el && el.checked) {
           el.checked = false;
           el.dispatchEvent(new Event('change', { bubbles: true }));
         }
       })()
-    `, true);
+    `);
   }
 
   /**
    * Get text content of this element.
    */
   async textContent() {
-    return this._wc.executeJavaScript(`
+    return this._exec(`
       (function() {
-        var el = document.querySelector('[__eac_id="${this._id}"]');
+        var el = ${this._ref};
         return el ? el.textContent : null;
       })()
-    `, true);
+    `);
   }
 
   /**
    * Get inner text of this element.
    */
   async innerText() {
-    return this._wc.executeJavaScript(`
+    return this._exec(`
       (function() {
-        var el = document.querySelector('[__eac_id="${this._id}"]');
+        var el = ${this._ref};
         return el ? el.innerText : null;
       })()
-    `, true);
+    `);
   }
 
   /**
@@ -186,20 +226,20 @@ class ElementHandle {
   async value(newValue) {
     if (newValue !== undefined) {
       const escaped = String(newValue).replace(/'/g, "\\'");
-      await this._wc.executeJavaScript(`
+      await this._exec(`
         (function() {
-          var el = document.querySelector('[__eac_id="${this._id}"]');
+          var el = ${this._ref};
           if (el) { el.value = '${escaped}'; el.dispatchEvent(new Event('input', { bubbles: true })); }
         })()
-      `, true);
+      `);
       return newValue;
     }
-    return this._wc.executeJavaScript(`
+    return this._exec(`
       (function() {
-        var el = document.querySelector('[__eac_id="${this._id}"]');
+        var el = ${this._ref};
         return el ? el.value : null;
       })()
-    `, true);
+    `);
   }
 
   /**
@@ -207,12 +247,12 @@ class ElementHandle {
    */
   async getAttribute(name) {
     const escaped = name.replace(/'/g, "\\'");
-    return this._wc.executeJavaScript(`
+    return this._exec(`
       (function() {
-        var el = document.querySelector('[__eac_id="${this._id}"]');
+        var el = ${this._ref};
         return el ? el.getAttribute('${escaped}') : null;
       })()
-    `, true);
+    `);
   }
 
   /**
@@ -221,51 +261,52 @@ class ElementHandle {
   async setAttribute(name, val) {
     const eName = name.replace(/'/g, "\\'");
     const eVal = String(val).replace(/'/g, "\\'");
-    await this._wc.executeJavaScript(`
+    await this._exec(`
       (function() {
-        var el = document.querySelector('[__eac_id="${this._id}"]');
+        var el = ${this._ref};
         if (el) el.setAttribute('${eName}', '${eVal}');
       })()
-    `, true);
+    `);
   }
 
   /**
    * Check if element is visible.
    */
   async isVisible() {
-    return this._wc.executeJavaScript(`
+    return this._exec(`
       (function() {
-        var el = document.querySelector('[__eac_id="${this._id}"]');
+        var el = ${this._ref};
         if (!el) return false;
         var s = window.getComputedStyle(el);
         return s.display !== 'none' && s.visibility !== 'hidden' && s.opacity !== '0';
       })()
-    `, true);
+    `);
   }
 
   /**
    * Scroll this element into view.
    */
   async scrollIntoView() {
-    await this._wc.executeJavaScript(`
+    await this._exec(`
       (function() {
-        var el = document.querySelector('[__eac_id="${this._id}"]');
+        var el = ${this._ref};
         if (el) el.scrollIntoView({ behavior: 'smooth', block: 'center' });
       })()
-    `, true);
+    `);
     await sleep(300);
   }
 
   /**
-   * Remove the tracking attribute (cleanup).
+   * Remove the tracking attribute or map entry (cleanup).
    */
   async dispose() {
-    await this._wc.executeJavaScript(`
-      (function() {
-        var el = document.querySelector('[__eac_id="${this._id}"]');
+    const code = this._isolated
+      ? `window.__handles && window.__handles.delete('${this._id}')`
+      : `(function() {
+        var el = ${this._ref};
         if (el) el.removeAttribute('__eac_id');
-      })()
-    `, true).catch(() => {});
+      })()`;
+    await this._exec(code).catch(() => {});
   }
 }
 
@@ -0,0 +1,288 @@
+'use strict';
+
+const Fingerprint = require('./Fingerprint');
+const { acceptLanguageFor } = require('./utils');
+
+const OWNER = 'Emulation';
+
+// emulateMedia() option -> CSS media feature and its allowed values
+const MEDIA_FEATURES = {
+  colorScheme: { name: 'prefers-color-scheme', values: ['light', 'dark', 'no-preference'] },
+  reducedMotion: { name: 'prefers-reduced-motion', values: ['reduce', 'no-preference'] },
+  forcedColors: { name: 'forced-colors', values: ['active', 'none'] },
+};
+const MEDIA_TYPES = ['screen', 'print'];
+
+/**
+ * Validate a geolocation position and fill in the default accuracy.
+ */
+function toGeolocation(position) {
+  const { latitude, longitude, accuracy = 0 } = position;
+  if (typeof latitude !== 'number' || latitude < -90 || latitude > 90) {
+    throw new Error(`Invalid latitude: ${latitude}. Expected a number between -90 and 90`);
+  }
+  if (typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+    throw new Error(`Invalid longitude: ${longitude}. Expected a number between -180 and 180`);
+  }
+  if (typeof accuracy !== 'number' || accuracy < 0) {
+    throw new Error(`Invalid accuracy: ${accuracy}. Expected a non-negative number`);
+  }
+  return { latitude, longitude, accuracy };
+}
+
+/**
+ * Merge emulateMedia() options into the current ones. Omitted options are
+ * kept, null ones removed. Returns null once nothing is overridden.
+ */
+function mergeMedia(current, options) {
+  const media = { ...current };
+  for (const [key, value] of Object.entries(options)) {
+    const allowed = key === 'media' ? MEDIA_TYPES : MEDIA_FEATURES[key] && MEDIA_FEATURES[key].values;
+    if (!allowed) {
+      throw new Error(`Unknown media option: ${key}. Valid: media, ${Object.keys(MEDIA_FEATURES).join(', ')}`);
+    }
+    if (value === null || value === undefined) {
+      delete media[key];
+    } else if (!allowed.includes(value)) {
+      throw new Error(`Invalid ${key}: ${value}. Valid: ${allowed.join(', ')}`);
+    } else {
+      media[key] = value;
+    }
+  }
+  return Object.keys(media).length > 0 ? media : null;
+}
+
+/**
+ * Emulation domain overrides for one page: user agent, timezone, locale,
+ * geolocation, CSS media and device metrics. They are kept as state and
+ * sent again wherever Chromium would lose them: to out-of-process iframes
+ * as they attach, after the debugger reattaches, and on the first
+ * navigation after a renderer crash.
+ *
+ * The user agent override is built from several sources (a device's user
+ * agent wins over the base one, a locale's Accept-Language over the base
+ * languages), so every change goes through here instead of straight to
+ * Emulation.setUserAgentOverride.
+ */
+class Emulation {
+  /**
+   * @param {Electron.WebContents} webContents
+   * @param {import('./CDPSession')} cdp
+   */
+  constructor(webContents, cdp) {
+    this._wc = webContents;
+    this._cdp = cdp;
+    this._state = {
+      userAgent: null,
+      timezone: null,
+      locale: null,
+      geolocation: null,
+      media: null,
+      device: null,
+    };
+    this._tracking = false;
+    this._crashed = false;
+    this._onReattached = null;
+    this._onCrash = null;
+    this._onNavigate = null;
+  }
+
+  /**
+   * Current overrides; unset ones are null.
+   * @returns {{ userAgent: object|null, timezone: string|null, locale: string|null, geolocation: object|null, media: object|null, device: object|null }}
+   */
+  get() {
+    return JSON.parse(JSON.stringify(this._state));
+  }
+
+  /**
+   * Base user agent override. The locale's Accept-Language takes precedence
+   * over `acceptLanguage`.
+   * @param {object|null} userAgent - { userAgent, userAgentMetadata, platform, acceptLanguage }; null removes
+   */
+  async setUserAgent(userAgent) {
+    await this._update({ userAgent: userAgent ? { ...userAgent } : null });
+  }
+
+  /**
+   * @param {string|null} timezoneId - IANA ID, e.g. 'Europe/Berlin'; null restores the system timezone
+   */
+  async setTimezone(timezoneId) {
+    await this._update({ timezone: timezoneId || null });
+  }
+
+  /**
+   * Locale for Intl, date and number formatting, plus navigator.language
+   * and Accept-Language.
+   * @param {string|null} locale - e.g. 'de-DE'; null restores the default
+   */
+  async setLocale(locale) {
+    await this._update({ locale: locale || null });
+  }
+
+  /**
+   * @param {object|null} position - { latitude, longitude, accuracy = 0 }; null removes the override
+   */
+  async setGeolocation(position) {
+    await this._update({ geolocation: position ? toGeolocation(position) : null });
+  }
+
+  /**
+   * Emulate the CSS media type and media features. Omitted options keep
+   * their current override; null removes it.
+   * @param {object|null} options - { media, colorScheme, reducedMotion, forcedColors }; null removes all
+   */
+  async setMedia(options) {
+    await this._update({ media: options ? mergeMedia(this._state.media, options) : null });
+  }
+
+  /**
+   * Emulate a device: viewport, scale factor, mobile mode, touch, screen
+   * orientation and user agent (with client hints matching it). null goes
+   * back to the desktop, restoring the base user agent override.
+   * @param {object|null} device - Resolved descriptor, see DeviceRegistry.resolve()
+   */
+  async setDevice(device) {
+    if (!device) {
+      await this._update({ device: null });
+      return;
+    }
+    const derived = device.userAgent ? Fingerprint.resolve({ userAgent: device.userAgent }, '') : {};
+    await this._update({
+      device: {
+        ...device,
+        userAgentMetadata: derived.userAgentMetadata || null,
+        platform: derived.platform || null,
+      },
+    });
+  }
+
+  async _update(changes) {
+    const previous = this._state;
+    this._state = { ...previous, ...changes };
+    try {
+      await this._track();
+      await this._applyTo(undefined, Object.keys(changes));
+    } catch (err) {
+      this._state = previous;
+      throw err;
+    }
+  }
+
+  /**
+   * Start re-sending overrides to new child targets, after reattaching and
+   * after a crash.
+   */
+  async _track() {
+    if (this._tracking) return;
+    this._tracking = true;
+    await this._cdp.addChildTargetInitializer(OWNER, (sessionId) => this._applyTo(sessionId));
+
+    this._onReattached = () => {
+      this._applyTo().catch(() => {});
+    };
+    this._onCrash = () => {
+      this._crashed = true;
+    };
+    this._onNavigate = (_event, _url, _isInPlace, isMainFrame) => {
+      if (!isMainFrame || !this._crashed) return;
+      this._crashed = false;
+      this._applyTo().catch(() => {});
+    };
+    this._cdp.on('reattached', this._onReattached);
+    this._wc.on('render-process-gone', this._onCrash);
+    this._wc.on('did-start-navigation', this._onNavigate);
+  }
+
+  _userAgentParams() {
+    const { userAgent, locale, device } = this._state;
+    const base = userAgent || {};
+    const source = device && device.userAgent ? device : base;
+    const params = { userAgent: source.userAgent || this._wc.getUserAgent() };
+    if (source.platform) params.platform = source.platform;
+    if (source.userAgentMetadata) params.userAgentMetadata = source.userAgentMetadata;
+    const language = locale && locale.split('-')[0];
+    const acceptLanguage = locale
+      ? acceptLanguageFor(language !== locale ? [locale, language] : [locale])
+      : base.acceptLanguage;
+    if (acceptLanguage) params.acceptLanguage = acceptLanguage;
+    return params;
+  }
+
+  /**
+   * Send overrides to the page target, or to a child target's session.
+   * `keys` are the ones that just changed: those are also cleared when
+   * unset. Without `keys`, every set override is sent.
+   */
+  async _applyTo(sessionId, keys = null) {
+    const send = (method, params) => this._cdp.send(method, params, sessionId);
+    const changed = (...names) => (keys ? names.some((name) => keys.includes(name)) : true);
+    const { userAgent, timezone, locale, geolocation, media, device } = this._state;
+
+    if (changed('userAgent', 'locale', 'device') && (userAgent || locale || (device && device.userAgent) || keys)) {
+      await send('Emulation.setUserAgentOverride', this._userAgentParams());
+    }
+    // Metrics belong to the page target; iframes follow it
+    if (changed('device') && !sessionId && (device || keys)) {
+      if (device) {
+        const screenOrientation = device.orientation === 'landscape'
+          ? { type: 'landscapePrimary', angle: 90 }
+          : { type: 'portraitPrimary', angle: 0 };
+        await send('Emulation.setDeviceMetricsOverride', {
+          width: device.viewport.width,
+          height: device.viewport.height,
+          deviceScaleFactor: device.deviceScaleFactor,
+          mobile: device.isMobile,
+          screenOrientation,
+        });
+        await send('Emulation.setTouchEmulationEnabled', device.hasTouch ? { enabled: true, maxTouchPoints: 5 } : { enabled: false });
+      } else {
+        await send('Emulation.clearDeviceMetricsOverride');
+        await send('Emulation.setTouchEmulationEnabled', { enabled: false });
+      }
+    }
+    if (changed('timezone') && (timezone || keys)) {
+      await send('Emulation.setTimezoneOverride', { timezoneId: timezone || '' });
+    }
+    if (changed('locale') && (locale || keys)) {
+      // Chromium refuses a second override until the first is cleared
+      await send('Emulation.setLocaleOverride', {}).catch(() => {});
+      if (locale) await send('Emulation.setLocaleOverride', { locale });
+    }
+    if (changed('geolocation') && (geolocation || keys)) {
+      if (geolocation) await send('Emulation.setGeolocationOverride', geolocation);
+      else await send('Emulation.clearGeolocationOverride');
+    }
+    if (changed('media') && (media || keys)) {
+      const current = media || {};
+      await send('Emulation.setEmulatedMedia', {
+        media: current.media || '',
+        features: Object.entries(MEDIA_FEATURES).map(([key, { name }]) => ({ name, value: current[key] || '' })),
+      });
+    }
+  }
+
+  /**
+   * Stop re-sending overrides.
+   */
+  destroy() {
+    if (this._onReattached) {
+      this._cdp.removeListener('reattached', this._onReattached);
+      this._onReattached = null;
+    }
+    if (this._onCrash) {
+      try {
+        this._wc.removeListener('render-process-gone', this._onCrash);
+        this._wc.removeListener('did-start-navigation', this._onNavigate);
+      } catch {
+        // ignore — webContents may already be destroyed
+      }
+      this._onCrash = null;
+      this._onNavigate = null;
+    }
+    if (this._tracking) this._cdp.removeChildTargetInitializer(OWNER).catch(() => {});
+    this._tracking = false;
+  }
+}
+
+module.exports = Emulation;
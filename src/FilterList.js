@@ -0,0 +1,539 @@
+'use strict';
+
+const fs = require('fs');
+
+/** Resource types understood in filter options. */
+const RESOURCE_TYPES = [
+  'document', 'subdocument', 'script', 'image', 'stylesheet', 'font', 'media',
+  'xmlhttprequest', 'websocket', 'ping', 'other',
+];
+
+const TYPE_ALIASES = {
+  doc: 'document',
+  frame: 'subdocument',
+  css: 'stylesheet',
+  xhr: 'xmlhttprequest',
+  beacon: 'ping',
+  object: 'other',
+  'object-subrequest': 'other',
+};
+
+/** CDP Network.ResourceType -> filter type. Document is 'subdocument' unless the caller says otherwise. */
+const CDP_TYPES = {
+  Document: 'subdocument',
+  Script: 'script',
+  Image: 'image',
+  Stylesheet: 'stylesheet',
+  Font: 'font',
+  Media: 'media',
+  XHR: 'xmlhttprequest',
+  Fetch: 'xmlhttprequest',
+  WebSocket: 'websocket',
+  Ping: 'ping',
+};
+
+// Tokens too common to be useful as an index key
+const COMMON_TOKENS = new Set(['http', 'https', 'www', 'com', 'net', 'org', 'js', 'html', 'php']);
+
+const OPTIONS_RE = /^[\w~,=|.:*%-]+$/;
+const HOST_RULE_RE = /^\|\|([a-z0-9.-]+)\^$/;
+const HOSTS_FILE_RE = /^(?:0\.0\.0\.0|127\.0\.0\.1)\s+([^\s#]+)/;
+const COSMETIC_RE = /^([^#/]*)#(@?)#(.+)$/;
+// uBlock/ABP procedural operators are not CSS and can't be injected
+const PROCEDURAL_RE = /:(?:has-text|contains|matches-css(?:-before|-after)?|matches-attr|matches-path|matches-prop|min-text-length|others|remove|remove-attr|remove-class|style|upward|watch-attr|xpath|if|if-not|-abp-[\w-]+)\(/;
+
+function hostMatches(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * The host and each parent domain: a.b.example.com, b.example.com, example.com, com.
+ */
+function hostSuffixes(host) {
+  const suffixes = [];
+  let current = host;
+  while (current) {
+    suffixes.push(current);
+    const dot = current.indexOf('.');
+    if (dot === -1) break;
+    current = current.slice(dot + 1);
+  }
+  return suffixes;
+}
+
+/**
+ * Approximate registrable domain (no public suffix list): the last two
+ * labels, or three for ccTLD second levels like co.uk / com.au.
+ */
+function baseDomain(host) {
+  if (/^[\d.]+$/.test(host) || host.includes(':')) return host;
+  const labels = host.split('.');
+  if (labels.length <= 2) return host;
+  const tld = labels[labels.length - 1];
+  const sld = labels[labels.length - 2];
+  const keep = tld.length === 2 && sld.length <= 3 ? 3 : 2;
+  return labels.slice(-keep).join('.');
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+function parseDomainList(value, separator) {
+  const include = [];
+  const exclude = [];
+  for (let domain of (value || '').split(separator)) {
+    domain = domain.trim().toLowerCase();
+    if (!domain) continue;
+    if (domain.startsWith('~')) exclude.push(domain.slice(1));
+    else include.push(domain);
+  }
+  return { include: include.length ? include : null, exclude: exclude.length ? exclude : null };
+}
+
+function domainsMatch(rule, pageHost) {
+  if (rule.excludeDomains && rule.excludeDomains.some((d) => hostMatches(pageHost, d))) return false;
+  if (rule.includeDomains) return rule.includeDomains.some((d) => hostMatches(pageHost, d));
+  return true;
+}
+
+/**
+ * Compile an ABP pattern ('||host^', '|start', 'end|', '*' and '^') to a RegExp.
+ */
+function patternToRegExp(pattern, matchCase) {
+  let source = '';
+  let i = 0;
+  let end = pattern.length;
+  if (pattern.startsWith('||')) {
+    source = '^[a-z][a-z0-9+.-]*:\\/\\/(?:[^\\/?#]*\\.)?';
+    i = 2;
+  } else if (pattern.startsWith('|')) {
+    source = '^';
+    i = 1;
+  }
+  const endAnchor = end > i && pattern.endsWith('|');
+  if (endAnchor) end--;
+
+  for (; i < end; i++) {
+    const c = pattern[i];
+    if (c === '*') source += '.*';
+    else if (c === '^') source += '(?:[^\\w%.-]|$)';
+    else source += c.replace(/[.+?${}()|[\]\\/]/g, '\\$&');
+  }
+  if (endAnchor) source += '$';
+  return new RegExp(source, matchCase ? '' : 'i');
+}
+
+/**
+ * Pick an index token: a run of [a-z0-9%] in the pattern that must also be
+ * a whole run in any matching URL.
+ */
+function patternToken(pattern) {
+  const lower = pattern.toLowerCase();
+  const re = /[a-z0-9%]{2,}/g;
+  let best = null;
+  let match;
+  while ((match = re.exec(lower))) {
+    const before = lower[match.index - 1];
+    const after = lower[match.index + match[0].length];
+    if (before === undefined || before === '*') continue;
+    if (after === undefined || after === '*') continue;
+    const token = match[0];
+    if (COMMON_TOKENS.has(token) && best) continue;
+    if (!best || COMMON_TOKENS.has(best) || token.length > best.length) best = token;
+  }
+  return best;
+}
+
+function urlTokens(url) {
+  return new Set(url.toLowerCase().match(/[a-z0-9%]{2,}/g) || []);
+}
+
+function createIndex() {
+  return { hosts: new Map(), tokens: new Map(), generic: [] };
+}
+
+function addToIndex(index, rule) {
+  if (rule.host) {
+    if (!index.hosts.has(rule.host)) index.hosts.set(rule.host, []);
+    index.hosts.get(rule.host).push(rule);
+  } else if (rule.token) {
+    if (!index.tokens.has(rule.token)) index.tokens.set(rule.token, []);
+    index.tokens.get(rule.token).push(rule);
+  } else {
+    index.generic.push(rule);
+  }
+}
+
+function ruleApplies(rule, req) {
+  if (rule.types ? !rule.types.has(req.type) : req.type === 'document') return false;
+  if (rule.thirdParty !== null && rule.thirdParty !== req.thirdParty) return false;
+  if (!domainsMatch(rule, req.pageHost)) return false;
+  return rule.host ? true : rule.regex.test(req.url);
+}
+
+/**
+ * Find a matching rule. With preferImportant, keeps looking for an
+ * $important rule after the first match.
+ */
+function findInIndex(index, req, preferImportant) {
+  let found = null;
+  const scan = (rules) => {
+    if (!rules) return null;
+    for (const rule of rules) {
+      if (!ruleApplies(rule, req)) continue;
+      if (!preferImportant || rule.important) return rule;
+      if (!found) found = rule;
+    }
+    return null;
+  };
+
+  for (const host of req.hostSuffixes) {
+    const hit = scan(index.hosts.get(host));
+    if (hit) return hit;
+  }
+  for (const token of req.tokens) {
+    const hit = scan(index.tokens.get(token));
+    if (hit) return hit;
+  }
+  return scan(index.generic) || found;
+}
+
+/**
+ * Parse one network filter line. Returns null for rules using options this
+ * engine doesn't support, so they are dropped rather than over-blocking.
+ */
+function parseNetworkRule(line) {
+  let text = line;
+  const rule = {
+    raw: line,
+    exception: false,
+    important: false,
+    types: null,
+    thirdParty: null,
+    includeDomains: null,
+    excludeDomains: null,
+    page: null,
+    host: null,
+    token: null,
+    regex: null,
+  };
+
+  if (text.startsWith('@@')) {
+    rule.exception = true;
+    text = text.slice(2);
+  }
+
+  let options = '';
+  const dollar = text.lastIndexOf('$');
+  if (dollar !== -1 && OPTIONS_RE.test(text.slice(dollar + 1))) {
+    options = text.slice(dollar + 1);
+    text = text.slice(0, dollar);
+  }
+
+  let matchCase = false;
+  let includeTypes = null;
+  const excludeTypes = [];
+  const page = {};
+
+  for (const option of options ? options.split(',') : []) {
+    const eq = option.indexOf('=');
+    let name = (eq === -1 ? option : option.slice(0, eq)).toLowerCase();
+    const value = eq === -1 ? '' : option.slice(eq + 1);
+    const negated = name.startsWith('~');
+    if (negated) name = name.slice(1);
+    name = TYPE_ALIASES[name] || name;
+
+    if (RESOURCE_TYPES.includes(name)) {
+      if (negated) excludeTypes.push(name);
+      else (includeTypes || (includeTypes = [])).push(name);
+      continue;
+    }
+    switch (name) {
+      case 'third-party':
+      case '3p':
+        rule.thirdParty = !negated;
+        break;
+      case 'first-party':
+      case '1p':
+        rule.thirdParty = negated;
+        break;
+      case 'domain':
+      case 'from': {
+        const domains = parseDomainList(value, '|');
+        rule.includeDomains = domains.include;
+        rule.excludeDomains = domains.exclude;
+        break;
+      }
+      case 'important':
+        rule.important = true;
+        break;
+      case 'match-case':
+        matchCase = true;
+        break;
+      case 'all':
+        includeTypes = RESOURCE_TYPES.slice();
+        break;
+      case 'elemhide':
+      case 'ehide':
+        page.elemhide = true;
+        break;
+      case 'generichide':
+      case 'ghide':
+        page.generichide = true;
+        break;
+      case 'redirect':
+        // the request is still blocked; we don't serve the replacement resource
+        break;
+      default:
+        return null;
+    }
+  }
+
+  if (includeTypes) {
+    rule.types = new Set(includeTypes.filter((t) => !excludeTypes.includes(t)));
+  } else if (excludeTypes.length > 0) {
+    rule.types = new Set(RESOURCE_TYPES.filter((t) => t !== 'document' && !excludeTypes.includes(t)));
+  }
+
+  // Page-level exceptions (@@...$document, $elemhide, $generichide) apply to
+  // the page URL rather than to individual requests
+  if ((rule.types && rule.types.has('document')) || page.elemhide || page.generichide) {
+    if (!rule.exception) {
+      if (page.elemhide || page.generichide) return null;
+    } else {
+      rule.page = { document: Boolean(rule.types && rule.types.has('document')), ...page };
+    }
+  }
+
+  if (text === '' || text === '*') {
+    rule.regex = /^/;
+  } else if (text.length > 2 && text.startsWith('/') && text.endsWith('/')) {
+    try {
+      rule.regex = new RegExp(text.slice(1, -1), matchCase ? '' : 'i');
+    } catch {
+      return null;
+    }
+  } else {
+    const hostRule = HOST_RULE_RE.exec(text.toLowerCase());
+    if (hostRule && !rule.page) {
+      rule.host = hostRule[1];
+    } else {
+      rule.regex = patternToRegExp(text, matchCase);
+      rule.token = patternToken(text);
+    }
+  }
+  return rule;
+}
+
+/**
+ * Content blocking engine for EasyList / uBlock Origin style filter lists.
+ *
+ * Supports network rules (`||host^`, anchors, wildcards, `/regex/`, `@@`
+ * exceptions) with `domain=`, resource-type, `third-party`, `important` and
+ * `match-case` options, page-level `$document` / `$elemhide` /
+ * `$generichide` exceptions, hosts-file lines, and cosmetic `##` / `#@#`
+ * element hiding rules. Rules using unsupported options or procedural
+ * cosmetic operators are skipped.
+ */
+class FilterList {
+  /**
+   * Load and parse filter lists from local files.
+   * @param {string|string[]} paths
+   * @returns {Promise<FilterList>}
+   */
+  static async fromFiles(paths) {
+    const list = new FilterList();
+    for (const file of [].concat(paths)) {
+      list.addRules(await fs.promises.readFile(file, 'utf8'));
+    }
+    return list;
+  }
+
+  /**
+   * @param {string} [text] - Filter list contents
+   */
+  constructor(text = '') {
+    this._block = createIndex();
+    this._allow = createIndex();
+    /** Page-level exception rules */
+    this._pageRules = [];
+
+    /** @type {Map<string, string[]|null>} Generic selector -> excluded domains */
+    this._genericHide = new Map();
+    /** @type {Map<string, Map<string, string[]|null>>} Domain -> selector -> excluded domains */
+    this._specificHide = new Map();
+    /** @type {Map<string, Set<string>>} Domain ('' = everywhere) -> excepted selectors */
+    this._hideExceptions = new Map();
+
+    this._networkCount = 0;
+    this._cosmeticCount = 0;
+    if (text) this.addRules(text);
+  }
+
+  /** Number of parsed rules: { network, cosmetic }. */
+  get size() {
+    return { network: this._networkCount, cosmetic: this._cosmeticCount };
+  }
+
+  /**
+   * Parse and add rules from filter list text.
+   * @param {string} text
+   * @returns {number} Number of rules added
+   */
+  addRules(text) {
+    let added = 0;
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('!') || line.startsWith('[')) continue;
+
+      const cosmetic = COSMETIC_RE.exec(line);
+      if (cosmetic) {
+        if (this._addCosmeticRule(cosmetic[1], cosmetic[2] === '@', cosmetic[3].trim())) added++;
+        continue;
+      }
+      if (line.startsWith('#')) continue;
+
+      const hosts = HOSTS_FILE_RE.exec(line);
+      const rule = parseNetworkRule(hosts ? `||${hosts[1]}^` : line);
+      if (!rule) continue;
+      if (hosts && ['localhost', '0.0.0.0', 'local'].includes(hosts[1])) continue;
+
+      if (rule.page) this._pageRules.push(rule);
+      else addToIndex(rule.exception ? this._allow : this._block, rule);
+      this._networkCount++;
+      added++;
+    }
+    return added;
+  }
+
+  _addCosmeticRule(domainList, exception, selector) {
+    if (!selector || selector.startsWith('+js') || selector.startsWith('^') || PROCEDURAL_RE.test(selector)) {
+      return false;
+    }
+    const { include, exclude } = parseDomainList(domainList, ',');
+
+    if (exception) {
+      for (const domain of include || ['']) {
+        if (!this._hideExceptions.has(domain)) this._hideExceptions.set(domain, new Set());
+        this._hideExceptions.get(domain).add(selector);
+      }
+    } else if (!include) {
+      const existing = this._genericHide.get(selector);
+      this._genericHide.set(selector, existing === null || !exclude ? null : (existing || []).concat(exclude));
+    } else {
+      for (const domain of include) {
+        if (!this._specificHide.has(domain)) this._specificHide.set(domain, new Map());
+        this._specificHide.get(domain).set(selector, exclude);
+      }
+    }
+    this._cosmeticCount++;
+    return true;
+  }
+
+  /**
+   * Check whether a request should be blocked.
+   * @param {object} request
+   * @param {string} request.url
+   * @param {string} [request.type] - Filter type ('script', 'image', ...) or CDP resource type ('Script', 'XHR', ...)
+   * @param {string} [request.pageUrl] - URL of the page that made the request
+   * @returns {{ blocked: boolean, rule: string|null }} Matching block or exception rule
+   */
+  match(request) {
+    const host = hostnameOf(request.url);
+    if (!host || !/^(https?|wss?):/i.test(request.url)) return { blocked: false, rule: null };
+
+    const pageHost = hostnameOf(request.pageUrl || '');
+    const req = {
+      url: request.url,
+      type: CDP_TYPES[request.type] || (RESOURCE_TYPES.includes(request.type) ? request.type : 'other'),
+      pageHost,
+      thirdParty: pageHost ? baseDomain(host) !== baseDomain(pageHost) : false,
+      hostSuffixes: hostSuffixes(host),
+      tokens: urlTokens(request.url),
+    };
+
+    const pageException = this._findPageRule(request.pageUrl, 'document');
+    if (pageException) return { blocked: false, rule: pageException.raw };
+
+    const blockRule = findInIndex(this._block, req, true);
+    if (!blockRule) return { blocked: false, rule: null };
+    if (!blockRule.important) {
+      const allowRule = findInIndex(this._allow, req, false);
+      if (allowRule) return { blocked: false, rule: allowRule.raw };
+    }
+    return { blocked: true, rule: blockRule.raw };
+  }
+
+  /**
+   * Page-level exceptions for a page URL.
+   * @param {string} pageUrl
+   * @returns {{ document: boolean, elemhide: boolean, generichide: boolean }}
+   */
+  getPageOptions(pageUrl) {
+    return {
+      document: Boolean(this._findPageRule(pageUrl, 'document')),
+      elemhide: Boolean(this._findPageRule(pageUrl, 'elemhide')),
+      generichide: Boolean(this._findPageRule(pageUrl, 'generichide')),
+    };
+  }
+
+  _findPageRule(pageUrl, option) {
+    if (!pageUrl || this._pageRules.length === 0) return null;
+    const pageHost = hostnameOf(pageUrl);
+    if (!pageHost) return null;
+    return this._pageRules.find((rule) => rule.page[option]
+      && domainsMatch(rule, pageHost)
+      && rule.regex.test(pageUrl)) || null;
+  }
+
+  /**
+   * Element hiding selectors that apply on a hostname.
+   * @param {string} hostname
+   * @param {object} [options]
+   * @param {boolean} [options.generic=true] - Include generic (`##`) selectors
+   * @returns {string[]}
+   */
+  getHidingSelectors(hostname, options = {}) {
+    const host = (hostname || '').toLowerCase();
+    const suffixes = host ? hostSuffixes(host) : [];
+
+    const exceptions = new Set(this._hideExceptions.get('') || []);
+    for (const domain of suffixes) {
+      for (const selector of this._hideExceptions.get(domain) || []) exceptions.add(selector);
+    }
+
+    const selectors = new Set();
+    const add = (selector, exclude) => {
+      if (exceptions.has(selector)) return;
+      if (exclude && exclude.some((d) => hostMatches(host, d))) return;
+      selectors.add(selector);
+    };
+    for (const domain of suffixes) {
+      for (const [selector, exclude] of this._specificHide.get(domain) || []) add(selector, exclude);
+    }
+    if (options.generic !== false) {
+      for (const [selector, exclude] of this._genericHide) add(selector, exclude);
+    }
+    return Array.from(selectors);
+  }
+
+  /**
+   * Stylesheet hiding every selector for a hostname. One rule per selector,
+   * so a selector the browser can't parse doesn't void the others.
+   * @param {string} hostname
+   * @param {object} [options] - See getHidingSelectors()
+   * @returns {string}
+   */
+  getHidingCSS(hostname, options = {}) {
+    return this.getHidingSelectors(hostname, options)
+      .map((selector) => `${selector} { display: none !important; }`)
+      .join('\n');
+  }
+}
+
+module.exports = FilterList;
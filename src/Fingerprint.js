@@ -0,0 +1,301 @@
+'use strict';
+
+const { hashString, windowPatchScript, acceptLanguageFor } = require('./utils');
+
+const OWNER = 'Fingerprint';
+
+const WEBGL_VENDOR = 0x9245; // UNMASKED_VENDOR_WEBGL
+const WEBGL_RENDERER = 0x9246; // UNMASKED_RENDERER_WEBGL
+
+/**
+ * navigator.platform value matching a user agent.
+ */
+function platformFor(userAgent) {
+  if (/Windows/.test(userAgent)) return 'Win32';
+  if (/iPhone/.test(userAgent)) return 'iPhone';
+  if (/iPad/.test(userAgent)) return 'iPad';
+  if (/Macintosh|Mac OS X/.test(userAgent)) return 'MacIntel';
+  if (/Android/.test(userAgent)) return 'Linux armv8l';
+  if (/CrOS/.test(userAgent)) return 'Linux x86_64';
+  if (/Linux/.test(userAgent)) return 'Linux x86_64';
+  return '';
+}
+
+/**
+ * UA client hints (navigator.userAgentData, Sec-CH-UA-*) matching a
+ * Chromium user agent. Non-Chromium browsers send no client hints, so
+ * other user agents get none.
+ */
+function userAgentMetadataFor(userAgent) {
+  const chrome = /(?:Chrome|CriOS)\/(\d+)((?:\.\d+)*)/.exec(userAgent);
+  if (!chrome || /Firefox|FxiOS/.test(userAgent)) return null;
+  const major = chrome[1];
+  const full = chrome[2] ? `${major}${chrome[2]}` : `${major}.0.0.0`;
+
+  let platform = 'Unknown';
+  let platformVersion = '';
+  let architecture = 'x86';
+  let model = '';
+  let match;
+  if (/Windows NT/.test(userAgent)) {
+    platform = 'Windows';
+    platformVersion = '10.0.0';
+  } else if ((match = /Android ([\d.]+)(?:; ([^;)]+))?/.exec(userAgent))) {
+    platform = 'Android';
+    platformVersion = match[1];
+    architecture = 'arm';
+    model = match[2] && match[2] !== 'K' ? match[2].trim() : '';
+  } else if ((match = /Mac OS X ([\d_]+)/.exec(userAgent))) {
+    platform = 'macOS';
+    platformVersion = match[1].replace(/_/g, '.');
+  } else if (/CrOS/.test(userAgent)) {
+    platform = 'Chrome OS';
+  } else if (/Linux/.test(userAgent)) {
+    platform = 'Linux';
+  }
+
+  return {
+    brands: [
+      { brand: 'Not_A Brand', version: '8' },
+      { brand: 'Chromium', version: major },
+      { brand: 'Google Chrome', version: major },
+    ],
+    fullVersionList: [
+      { brand: 'Not_A Brand', version: '8.0.0.0' },
+      { brand: 'Chromium', version: full },
+      { brand: 'Google Chrome', version: full },
+    ],
+    platform,
+    platformVersion,
+    architecture,
+    model,
+    mobile: /Mobile/.test(userAgent),
+    bitness: '64',
+    wow64: false,
+  };
+}
+
+/**
+ * Main-world patch that overrides what CDP can't: deviceMemory,
+ * hardwareConcurrency, screen, WebGL strings and canvas/audio noise.
+ */
+const FINGERPRINT_PATCH = `function (win, fp, { getter, method }) {
+  function noise(seed, i) {
+    let h = (seed ^ Math.imul(i, 0x9E3779B1)) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return (h ^ (h >>> 16)) >>> 0;
+  }
+
+  if (fp.hardwareConcurrency) getter(win.Navigator.prototype, 'hardwareConcurrency', fp.hardwareConcurrency);
+  if (fp.deviceMemory) getter(win.Navigator.prototype, 'deviceMemory', fp.deviceMemory);
+
+  if (fp.screen) {
+    for (const prop of ['width', 'height', 'availWidth', 'availHeight', 'colorDepth', 'pixelDepth']) {
+      if (fp.screen[prop] !== undefined) getter(win.Screen.prototype, prop, fp.screen[prop]);
+    }
+  }
+
+  if (fp.webgl) {
+    const getParameter = function (original, args) {
+      if (args[0] === ${WEBGL_VENDOR} && fp.webgl.vendor) return fp.webgl.vendor;
+      if (args[0] === ${WEBGL_RENDERER} && fp.webgl.renderer) return fp.webgl.renderer;
+      return original.apply(this, args);
+    };
+    method(win.WebGLRenderingContext && win.WebGLRenderingContext.prototype, 'getParameter', getParameter);
+    method(win.WebGL2RenderingContext && win.WebGL2RenderingContext.prototype, 'getParameter', getParameter);
+  }
+
+  if (fp.canvasSeed) {
+    const getImageData = win.CanvasRenderingContext2D.prototype.getImageData;
+    const putImageData = win.CanvasRenderingContext2D.prototype.putImageData;
+    // Same pixels always get the same noise, so repeated reads agree
+    const addNoise = (imageData) => {
+      const data = imageData.data;
+      for (let p = 0; p < data.length / 4; p++) {
+        const n = noise(fp.canvasSeed, p);
+        if (n % 16 === 0) data[p * 4 + ((n >>> 4) % 3)] ^= 1;
+      }
+      return imageData;
+    };
+    const noisyCopy = (canvas) => {
+      if (!canvas.width || !canvas.height) return null;
+      const copy = win.document.createElement('canvas');
+      copy.width = canvas.width;
+      copy.height = canvas.height;
+      const ctx = copy.getContext('2d');
+      ctx.drawImage(canvas, 0, 0);
+      putImageData.call(ctx, addNoise(getImageData.call(ctx, 0, 0, copy.width, copy.height)), 0, 0);
+      return copy;
+    };
+    method(win.CanvasRenderingContext2D.prototype, 'getImageData', function (original, args) {
+      return addNoise(original.apply(this, args));
+    });
+    for (const name of ['toDataURL', 'toBlob']) {
+      method(win.HTMLCanvasElement.prototype, name, function (original, args) {
+        let copy = null;
+        try {
+          copy = noisyCopy(this);
+        } catch (e) {
+          // tainted or unreadable canvas — leave as is
+        }
+        return original.apply(copy || this, args);
+      });
+    }
+  }
+
+  if (fp.audioSeed) {
+    const noised = new WeakSet();
+    method(win.AudioBuffer && win.AudioBuffer.prototype, 'getChannelData', function (original, args) {
+      const data = original.apply(this, args);
+      if (!noised.has(data)) {
+        noised.add(data);
+        for (let i = 0; i < data.length; i += 100) {
+          data[i] += (noise(fp.audioSeed, i) / 0xFFFFFFFF - 0.5) * 1e-7;
+        }
+      }
+      return data;
+    });
+    method(win.AnalyserNode && win.AnalyserNode.prototype, 'getFloatFrequencyData', function (original, args) {
+      const result = original.apply(this, args);
+      const data = args[0];
+      for (let i = 0; i < data.length; i++) {
+        data[i] += (noise(fp.audioSeed, i) / 0xFFFFFFFF - 0.5) * 1e-4;
+      }
+      return result;
+    });
+  }
+}`;
+
+/**
+ * Applies a fingerprint to one page: UA and client hints, platform,
+ * languages and timezone through the page's Emulation overrides, everything
+ * else through a script that runs before any page script. Both are set up
+ * for out-of-process iframes as they attach and again after the debugger
+ * reattaches, so every frame of every navigation sees the same values.
+ */
+class Fingerprint {
+  /**
+   * Fill in a fingerprint so it is stable: client hints and platform are
+   * derived from the user agent, screen fields from width/height, and
+   * noise seeds given as `true` from the profile ID.
+   * @param {object} fingerprint - See BrowserManager.createProfile()
+   * @param {string} profileId
+   * @returns {object}
+   */
+  static resolve(fingerprint, profileId) {
+    const fp = { ...fingerprint };
+    if (fp.userAgent) {
+      if (fp.userAgentMetadata === undefined) fp.userAgentMetadata = userAgentMetadataFor(fp.userAgent);
+      if (!fp.platform) fp.platform = platformFor(fp.userAgent);
+    }
+    if (fp.screen) {
+      const { width, height } = fp.screen;
+      fp.screen = {
+        availWidth: width,
+        availHeight: height,
+        colorDepth: 24,
+        ...fp.screen,
+      };
+      if (fp.screen.pixelDepth === undefined) fp.screen.pixelDepth = fp.screen.colorDepth;
+    }
+    if (fp.canvasSeed === true) fp.canvasSeed = hashString(`${profileId}:canvas`) || 1;
+    if (fp.audioSeed === true) fp.audioSeed = hashString(`${profileId}:audio`) || 1;
+    return fp;
+  }
+
+  /**
+   * @param {Electron.WebContents} webContents
+   * @param {import('./CDPSession')} cdp
+   * @param {import('./Emulation')} emulation
+   */
+  constructor(webContents, cdp, emulation) {
+    this._wc = webContents;
+    this._cdp = cdp;
+    this._emulation = emulation;
+    this._fingerprint = null;
+    this._script = null;
+    this._scriptId = null;
+    this._onReattached = null;
+  }
+
+  /**
+   * The applied fingerprint, or null.
+   * @returns {object|null}
+   */
+  get() {
+    return this._fingerprint ? { ...this._fingerprint } : null;
+  }
+
+  /**
+   * Apply a resolved fingerprint (see Fingerprint.resolve()). Takes effect
+   * from the next navigation; calling again replaces it.
+   * @param {object} fingerprint
+   */
+  async apply(fingerprint) {
+    if (this._scriptId) {
+      await this._cdp.send('Page.removeScriptToEvaluateOnNewDocument', { identifier: this._scriptId }).catch(() => {});
+      this._scriptId = null;
+    }
+    this._fingerprint = fingerprint;
+    this._script = windowPatchScript(FINGERPRINT_PATCH, {
+      hardwareConcurrency: fingerprint.hardwareConcurrency,
+      deviceMemory: fingerprint.deviceMemory,
+      screen: fingerprint.screen,
+      webgl: fingerprint.webgl,
+      canvasSeed: fingerprint.canvasSeed,
+      audioSeed: fingerprint.audioSeed,
+    });
+
+    const { userAgent, languages, platform, userAgentMetadata, timezone } = fingerprint;
+    if (userAgent) this._wc.setUserAgent(userAgent);
+    if (userAgent || languages) {
+      // Covers requests outside this page's target, e.g. service workers
+      this._wc.session.setUserAgent(userAgent || this._wc.getUserAgent(), languages ? languages.join(',') : undefined);
+    }
+    if (userAgent || languages || platform) {
+      await this._emulation.setUserAgent({
+        userAgent: userAgent || null,
+        userAgentMetadata: userAgentMetadata || null,
+        platform: platform || null,
+        acceptLanguage: languages ? acceptLanguageFor(languages) : null,
+      });
+    }
+    if (timezone) await this._emulation.setTimezone(timezone);
+
+    await this._cdp.enableDomain('Page', OWNER);
+    this._scriptId = await this._applyTo();
+    await this._cdp.addChildTargetInitializer(OWNER, (sessionId) => this._applyTo(sessionId));
+
+    if (!this._onReattached) {
+      this._onReattached = () => {
+        this._applyTo().then((id) => { this._scriptId = id; }).catch(() => {});
+      };
+      this._cdp.on('reattached', this._onReattached);
+    }
+  }
+
+  /**
+   * Add the init script to the page target, or to a child target's session.
+   * @returns {Promise<string>} Init script identifier
+   */
+  async _applyTo(sessionId) {
+    const { identifier } = await this._cdp.send('Page.addScriptToEvaluateOnNewDocument', { source: this._script }, sessionId);
+    return identifier;
+  }
+
+  /**
+   * Stop applying to new frames and reattachments.
+   */
+  destroy() {
+    if (this._onReattached) {
+      this._cdp.removeListener('reattached', this._onReattached);
+      this._onReattached = null;
+    }
+    this._cdp.removeChildTargetInitializer(OWNER).catch(() => {});
+    this._cdp.release(OWNER).catch(() => {});
+    this._fingerprint = null;
+  }
+}
+
+module.exports = Fingerprint;
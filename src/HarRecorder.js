@@ -0,0 +1,361 @@
+'use strict';
+
+const fs = require('fs');
+const { version } = require('../package.json');
+
+const TEXT_MIME = /^(text\/|application\/(json|javascript|x-javascript|ecmascript|xml|xhtml\+xml|ld\+json|manifest\+json)|image\/svg\+xml)/i;
+
+function toNameValue(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+function getHeader(headers, name) {
+  for (const [key, value] of Object.entries(headers || {})) {
+    if (key.toLowerCase() === name) return value;
+  }
+  return undefined;
+}
+
+function parseQueryString(url) {
+  try {
+    return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+function parseCookieHeader(header) {
+  if (!header) return [];
+  return header.split(';').map((part) => {
+    const index = part.indexOf('=');
+    if (index === -1) return null;
+    return { name: part.slice(0, index).trim(), value: part.slice(index + 1).trim() };
+  }).filter(Boolean);
+}
+
+function parseSetCookieHeader(header) {
+  if (!header) return [];
+  return header.split('\n').map((line) => {
+    const [pair, ...attrs] = line.split(';');
+    const index = pair.indexOf('=');
+    if (index === -1) return null;
+    const cookie = { name: pair.slice(0, index).trim(), value: pair.slice(index + 1).trim() };
+    for (const attr of attrs) {
+      const [key, ...rest] = attr.trim().split('=');
+      const value = rest.join('=');
+      switch (key.toLowerCase()) {
+        case 'path': cookie.path = value; break;
+        case 'domain': cookie.domain = value; break;
+        case 'expires': {
+          // An unparsable date leaves expires out rather than failing the entry
+          const date = new Date(value);
+          if (!isNaN(date)) cookie.expires = date.toISOString();
+          break;
+        }
+        case 'httponly': cookie.httpOnly = true; break;
+        case 'secure': cookie.secure = true; break;
+        case 'samesite': cookie.sameSite = value; break;
+      }
+    }
+    return cookie;
+  }).filter(Boolean);
+}
+
+/**
+ * Convert Request.timing() offsets into HAR timings.
+ */
+function toHarTimings(timing) {
+  const span = (start, end) => (start >= 0 && end >= start ? end - start : -1);
+  const firstStart = [timing.domainLookupStart, timing.connectStart, timing.requestStart]
+    .find((t) => t >= 0);
+  const timings = {
+    blocked: firstStart !== undefined ? firstStart : -1,
+    dns: span(timing.domainLookupStart, timing.domainLookupEnd),
+    connect: span(timing.connectStart, timing.connectEnd),
+    ssl: span(timing.secureConnectionStart, timing.connectEnd),
+    send: 0,
+    wait: span(timing.requestStart, timing.responseStart),
+    receive: span(timing.responseStart, timing.responseEnd),
+  };
+  // HAR: ssl time is also included in connect
+  let time = 0;
+  for (const key of ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']) {
+    if (timings[key] > 0) time += timings[key];
+  }
+  if (time === 0 && timing.responseEnd > 0) time = timing.responseEnd;
+  return { timings, time };
+}
+
+class HarRecorder {
+  /**
+   * @param {Electron.WebContents} webContents
+   * @param {import('./Network')} network
+   * @param {import('./CDPSession')} cdp
+   */
+  constructor(webContents, network, cdp) {
+    this._wc = webContents;
+    this._network = network;
+    this._cdp = cdp;
+    this._recording = false;
+    this._options = {};
+    this._entries = [];
+    this._pages = [];
+    this._pending = new Set();
+    this._mainFrameId = null;
+    this._listeners = null;
+    this._cdpListeners = null;
+  }
+
+  /** @returns {boolean} */
+  isRecording() {
+    return this._recording;
+  }
+
+  /**
+   * Start recording all requests and responses.
+   * @param {object} [options]
+   * @param {string} [options.content='omit'] - 'embed' to include response bodies, 'omit' to skip them
+   * @param {function} [options.filter] - (request) => boolean, only record matching requests
+   */
+  async start(options = {}) {
+    if (this._recording) return;
+    this._options = {
+      content: options.content === 'embed' ? 'embed' : 'omit',
+      filter: options.filter || null,
+    };
+    this._entries = [];
+    this._pages = [];
+    this._pending.clear();
+
+    await this._cdp.enableDomain('Page', this);
+    try {
+      const { frameTree } = await this._cdp.send('Page.getFrameTree');
+      this._mainFrameId = frameTree.frame.id;
+    } catch {
+      this._mainFrameId = null;
+    }
+
+    this._listeners = {
+      request: (request) => this._onRequest(request),
+      requestfinished: (request) => this._onRequestDone(request),
+      requestfailed: (request) => this._onRequestDone(request),
+    };
+    this._cdpListeners = {
+      'Page.domContentEventFired': () => this._onPageTiming('onContentLoad'),
+      'Page.loadEventFired': () => this._onPageTiming('onLoad'),
+    };
+    for (const [event, listener] of Object.entries(this._listeners)) {
+      this._network.on(event, listener);
+    }
+    for (const [method, listener] of Object.entries(this._cdpListeners)) {
+      this._cdp.on(method, listener);
+    }
+    // Otherwise the first requests of a goto() right after start() are missed
+    try {
+      await this._network.enableEvents();
+    } catch (err) {
+      this._detach();
+      await this._cdp.disableDomain('Page', this).catch(() => {});
+      throw err;
+    }
+    this._recording = true;
+  }
+
+  /**
+   * Stop recording and return the HAR.
+   * @param {object} [options]
+   * @param {string} [options.path] - Write the HAR JSON to this file
+   * @returns {Promise<object>} HAR 1.2 log
+   */
+  async stop(options = {}) {
+    if (!this._recording) return this.getHar();
+    this._detach();
+    this._recording = false;
+
+    await Promise.all(Array.from(this._pending));
+    await this._cdp.disableDomain('Page', this);
+
+    const har = this.getHar();
+    if (options.path) {
+      await fs.promises.writeFile(options.path, JSON.stringify(har, null, 2));
+    }
+    return har;
+  }
+
+  /**
+   * Snapshot of everything recorded so far.
+   * @returns {object} HAR 1.2 log
+   */
+  getHar() {
+    const pages = this._pages.map((page) => ({ ...page, pageTimings: { ...page.pageTimings } }));
+    const last = pages[pages.length - 1];
+    if (last && !last.title) last.title = this._safeTitle() || last._url;
+    for (const page of pages) {
+      if (!page.title) page.title = page._url;
+      delete page._url;
+      delete page._startTime;
+    }
+
+    const entries = this._entries
+      .slice()
+      .sort((a, b) => a._startTime - b._startTime)
+      .map(({ _startTime, ...entry }) => entry);
+
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'ISHbrowser', version },
+        pages,
+        entries,
+      },
+    };
+  }
+
+  _safeTitle() {
+    try {
+      return this._wc.getTitle();
+    } catch {
+      return '';
+    }
+  }
+
+  _onRequest(request) {
+    const isMainFrame = !this._mainFrameId || request.frameId() === this._mainFrameId;
+    if (!request.isNavigationRequest() || !isMainFrame || request.redirectedFrom()) return;
+    this._pages.push({
+      startedDateTime: new Date(request.timing().startTime).toISOString(),
+      id: `page_${this._pages.length + 1}`,
+      title: '',
+      pageTimings: { onContentLoad: -1, onLoad: -1 },
+      _url: request.url(),
+      _startTime: request.timing().startTime,
+    });
+  }
+
+  _onPageTiming(name) {
+    const page = this._pages[this._pages.length - 1];
+    if (!page) return;
+    page.pageTimings[name] = Date.now() - page._startTime;
+    if (name === 'onLoad') page.title = this._safeTitle();
+  }
+
+  _onRequestDone(request) {
+    if (this._options.filter) {
+      try {
+        if (!this._options.filter(request)) return;
+      } catch {
+        return;
+      }
+    }
+
+    const entry = this._buildEntry(request);
+    this._entries.push(entry);
+
+    const response = request.response();
+    if (this._options.content !== 'embed' || !response || request.failure() || request.redirectedTo()) return;
+    const pending = response.body()
+      .then((body) => {
+        const content = entry.response.content;
+        content.size = body.length;
+        if (TEXT_MIME.test(content.mimeType)) {
+          content.text = body.toString('utf8');
+        } else {
+          content.text = body.toString('base64');
+          content.encoding = 'base64';
+        }
+      })
+      .catch(() => {
+        // body may be unavailable (e.g. evicted, or a 204)
+      })
+      .finally(() => this._pending.delete(pending));
+    this._pending.add(pending);
+  }
+
+  _buildEntry(request) {
+    const response = request.response();
+    const failure = request.failure();
+    const timing = request.timing();
+    const { timings, time } = toHarTimings(timing);
+    const requestHeaders = request.headers();
+    const postData = request.postData();
+
+    const page = this._pages.length ? this._pages[this._pages.length - 1] : null;
+    const entry = {
+      pageref: page ? page.id : undefined,
+      startedDateTime: new Date(timing.startTime).toISOString(),
+      time,
+      request: {
+        method: request.method(),
+        url: request.url(),
+        httpVersion: response ? response.httpVersion() : 'HTTP/1.1',
+        cookies: parseCookieHeader(getHeader(requestHeaders, 'cookie')),
+        headers: toNameValue(requestHeaders),
+        queryString: parseQueryString(request.url()),
+        headersSize: -1,
+        bodySize: postData ? Buffer.byteLength(postData) : 0,
+      },
+      response: {
+        status: response ? response.status() : 0,
+        statusText: response ? response.statusText() : '',
+        httpVersion: response ? response.httpVersion() : 'HTTP/1.1',
+        cookies: response ? parseSetCookieHeader(getHeader(response.headers(), 'set-cookie')) : [],
+        headers: response ? toNameValue(response.headers()) : [],
+        content: {
+          size: -1,
+          mimeType: response ? response.mimeType() || 'x-unknown' : 'x-unknown',
+        },
+        redirectURL: request.redirectedTo() ? request.redirectedTo().url() : '',
+        headersSize: -1,
+        bodySize: -1,
+        _transferSize: request.encodedDataLength(),
+      },
+      cache: {},
+      timings,
+      _resourceType: request.resourceType(),
+      _startTime: timing.startTime,
+    };
+    if (postData) {
+      entry.request.postData = {
+        mimeType: getHeader(requestHeaders, 'content-type') || '',
+        text: postData,
+      };
+    }
+    if (response && response.remoteAddress()) {
+      entry.serverIPAddress = response.remoteAddress().ip;
+    }
+    if (failure) {
+      entry.response._failureText = failure.errorText;
+    }
+    if (!entry.pageref) delete entry.pageref;
+    return entry;
+  }
+
+  _detach() {
+    if (this._listeners) {
+      for (const [event, listener] of Object.entries(this._listeners)) {
+        this._network.removeListener(event, listener);
+      }
+      this._listeners = null;
+    }
+    if (this._cdpListeners) {
+      for (const [method, listener] of Object.entries(this._cdpListeners)) {
+        this._cdp.removeListener(method, listener);
+      }
+      this._cdpListeners = null;
+    }
+  }
+
+  /**
+   * Stop recording without producing a HAR and drop collected data.
+   */
+  destroy() {
+    this._detach();
+    this._recording = false;
+    this._entries = [];
+    this._pages = [];
+    this._pending.clear();
+    this._cdp.release(this).catch(() => {});
+  }
+}
+
+module.exports = HarRecorder;
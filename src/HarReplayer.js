@@ -0,0 +1,129 @@
+'use strict';
+
+const fs = require('fs');
+
+// Replayed bodies are already decoded; framing headers would be wrong
+const SKIP_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'keep-alive'];
+
+function requestKey(method, url) {
+  return `${(method || 'GET').toUpperCase()} ${stripFragment(url)}`;
+}
+
+function stripFragment(url) {
+  const index = url.indexOf('#');
+  return index === -1 ? url : url.slice(0, index);
+}
+
+function entryPostData(entry) {
+  return (entry.request.postData && entry.request.postData.text) || '';
+}
+
+/**
+ * Serves requests from a recorded HAR log.
+ *
+ * Entries are matched by method and URL (fragment ignored), preferring an
+ * entry with identical post data. Repeated hits on the same request replay
+ * the recorded responses in order, then keep returning the last one.
+ */
+class HarReplayer {
+  /**
+   * Load a HAR from a file path or an already parsed object.
+   * @param {string|object} harOrPath
+   * @param {object} [options] - See constructor.
+   * @returns {Promise<HarReplayer>}
+   */
+  static async load(harOrPath, options = {}) {
+    const har = typeof harOrPath === 'string'
+      ? JSON.parse(await fs.promises.readFile(harOrPath, 'utf8'))
+      : harOrPath;
+    return new HarReplayer(har, options);
+  }
+
+  /**
+   * @param {object} har - HAR object ({ log: { entries } })
+   * @param {object} [options]
+   * @param {boolean} [options.matchPostData=false] - Require identical post data to match
+   */
+  constructor(har, options = {}) {
+    if (!har || !har.log || !Array.isArray(har.log.entries)) {
+      throw new Error('Invalid HAR: expected { log: { entries: [] } }');
+    }
+    this._matchPostData = options.matchPostData || false;
+
+    /** @type {Map<string, object[]>} Entries by "METHOD url" */
+    this._entries = new Map();
+    /** @type {Map<string, number>} Next index to serve per request (and post data) */
+    this._cursors = new Map();
+
+    for (const entry of har.log.entries) {
+      if (!entry.request || !entry.response) continue;
+      const key = requestKey(entry.request.method, entry.request.url);
+      if (!this._entries.has(key)) this._entries.set(key, []);
+      this._entries.get(key).push(entry);
+    }
+  }
+
+  /** Number of recorded entries that can be replayed. */
+  get size() {
+    let count = 0;
+    for (const list of this._entries.values()) count += list.length;
+    return count;
+  }
+
+  /**
+   * Find the recorded entry for a request.
+   * @param {{ method: string, url: string, postData?: string|null }} request
+   * @returns {object|null} HAR entry
+   */
+  findEntry(request) {
+    const key = requestKey(request.method, request.url);
+    const all = this._entries.get(key);
+    if (!all) return null;
+
+    const postData = request.postData || '';
+    let candidates = all.filter((e) => entryPostData(e) === postData);
+    let cursorKey = `${key}\u0000${postData}`;
+    if (candidates.length === 0) {
+      if (this._matchPostData) return null;
+      candidates = all;
+      cursorKey = key;
+    }
+
+    const index = Math.min(this._cursors.get(cursorKey) || 0, candidates.length - 1);
+    this._cursors.set(cursorKey, index + 1);
+    return candidates[index];
+  }
+
+  /**
+   * Convert a HAR entry into a Network fulfill/abort result.
+   * @returns {object} { action: 'fulfill', status, headers, body } or { action: 'block' }
+   */
+  toResult(entry) {
+    const res = entry.response;
+    if (!res.status) {
+      return { action: 'block', errorReason: 'Failed' };
+    }
+
+    // CDP records repeated headers (e.g. Set-Cookie) joined by newlines
+    const headers = [];
+    for (const h of res.headers || []) {
+      if (SKIP_HEADERS.includes(h.name.toLowerCase())) continue;
+      for (const value of String(h.value).split('\n')) headers.push({ name: h.name, value });
+    }
+
+    const content = res.content || {};
+    let body = null;
+    if (typeof content.text === 'string') {
+      body = Buffer.from(content.text, content.encoding === 'base64' ? 'base64' : 'utf8');
+    }
+
+    const result = { action: 'fulfill', status: res.status, headers };
+    if (body) result.body = body;
+    if (res.redirectURL && !headers.some((h) => h.name.toLowerCase() === 'location')) {
+      headers.push({ name: 'Location', value: res.redirectURL });
+    }
+    return result;
+  }
+}
+
+module.exports = HarReplayer;
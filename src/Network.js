@@ -1,76 +1,203 @@
 'use strict';
 
-const { safeAttachDebugger, safeDetachDebugger, cdpSend } = require('./utils');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const CDPSession = require('./CDPSession');
+const Route = require('./Route');
+const HarReplayer = require('./HarReplayer');
+const Request = require('./Request');
+const Response = require('./Response');
+const WebSocket = require('./WebSocket');
+const { toUrlMatcher } = require('./utils');
 
-class Network {
+/** Traffic events emitted once a listener subscribes. */
+const TRAFFIC_EVENTS = ['request', 'response', 'requestfinished', 'requestfailed', 'websocket'];
+
+// Owner token for the Network domain while traffic events are on, so
+// disable() from a script doesn't stop the event stream.
+const EVENTS_OWNER = 'Network.events';
+const CONDITIONS_OWNER = 'Network.conditions';
+
+/**
+ * Network throttling presets (throughput in bytes/s, latency in ms),
+ * matching the Chrome DevTools profiles.
+ */
+const NETWORK_PRESETS = {
+  slow3g: { offline: false, latency: 2000, downloadThroughput: 50000, uploadThroughput: 50000 },
+  fast3g: { offline: false, latency: 562.5, downloadThroughput: 180000, uploadThroughput: 84375 },
+  offline: { offline: true, latency: 0, downloadThroughput: -1, uploadThroughput: -1 },
+};
+
+const NO_THROTTLING = { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 };
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.mjs': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.pdf': 'application/pdf',
+};
+
+// Marks a route.continue() result, which settles the request even without overrides
+const ROUTE_RESULT = Symbol('routeResult');
+
+/**
+ * Whether an interceptor result settles the request. Nothing or a plain
+ * 'continue'/'modify' lets the next handler in the chain decide.
+ */
+function isDecisive(result) {
+  if (!result) return false;
+  if (result.action === 'block' || result.action === 'fulfill' || result[ROUTE_RESULT]) return true;
+  if (result.action === 'continue' || result.action === 'modify') {
+    return Boolean(result.url || result.method || result.headers || result.status || result.postData !== undefined);
+  }
+  return false;
+}
+
+/**
+ * Convert CDP HeaderEntry[] into a { name: value } map.
+ */
+function fromHeaderEntries(entries) {
+  const headers = {};
+  for (const { name, value } of entries || []) headers[name] = value;
+  return headers;
+}
+
+function hasHeader(entries, name) {
+  return entries.some((h) => h.name.toLowerCase() === name);
+}
+
+/**
+ * Copy HeaderEntry[] without the given (lower-case) header names.
+ */
+function omitHeaders(entries, names) {
+  return entries.filter((h) => !names.includes(h.name.toLowerCase()));
+}
+
+/**
+ * Fetch.requestPaused carries response fields only at the Response stage.
+ */
+function isResponseStage(params) {
+  return params.responseStatusCode !== undefined || params.responseErrorReason !== undefined;
+}
+
+/**
+ * Check whether two route patterns are the same for unroute().
+ */
+function samePattern(a, b) {
+  if (a instanceof RegExp && b instanceof RegExp) {
+    return a.source === b.source && a.flags === b.flags;
+  }
+  return a === b;
+}
+
+/**
+ * Convert a { name: value } header map into CDP HeaderEntry[].
+ * Arrays of { name, value } pass through (allows repeated headers).
+ */
+function toHeaderEntries(headers) {
+  if (Array.isArray(headers)) {
+    return headers.map(({ name, value }) => ({ name, value: String(value) }));
+  }
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+class Network extends EventEmitter {
   /**
    * @param {Electron.WebContents} webContents
+   * @param {CDPSession} [cdp] - Shared CDP session (defaults to the one for webContents)
    */
-  constructor(webContents) {
+  constructor(webContents, cdp) {
+    super();
+    this.setMaxListeners(0);
     this._wc = webContents;
+    this._cdp = cdp || CDPSession.for(webContents);
     this._enabled = false;
     this._interceptHandler = null;
     this._onRequestPaused = null;
+
+    /** @type {Array<{ id: string, handler: function, urlPattern: string|RegExp|function, fetchPattern: string, matchUrl: function, resourceTypes: string[]|null }>} */
+    this._interceptors = [];
+    /** @type {Array<{ pattern: string|RegExp|function, handler: function, id: string }>} */
+    this._routes = [];
+    this._interceptorCounter = 0;
+    this._interceptHandlerId = null;
+    this._blockInterceptorId = null;
+
+    /** @type {Map<string, Request>} In-flight requests by CDP requestId */
+    this._requests = new Map();
+    /** @type {Map<string, WebSocket>} Open WebSockets by CDP requestId */
+    this._webSockets = new Map();
+    this._eventsEnabled = false;
+    this._eventsEnabling = null;
+    this._trafficListeners = null;
+
+    this._conditions = null;
+    this._onReattached = null;
+
+    // Start tracking traffic as soon as someone listens for it
+    this.on('newListener', (event) => {
+      if (TRAFFIC_EVENTS.includes(event)) this.enableEvents().catch(() => {});
+    });
   }
 
+  /** Event names for request/response traffic. */
+  static get EVENTS() { return TRAFFIC_EVENTS.slice(); }
+
+  /** Names of the network condition presets. */
+  static get PRESETS() { return Object.keys(NETWORK_PRESETS); }
+
   /**
    * Enable network domain via CDP.
    */
   async enable() {
     if (this._enabled) return;
-    await safeAttachDebugger(this._wc);
-    await cdpSend(this._wc, 'Network.enable');
+    await this._cdp.enableDomain('Network', this);
     this._enabled = true;
   }
 
   /**
-   * Disable network domain via CDP.
+   * Release this module's hold on the network domain. Other consumers of
+   * the shared CDP session keep it enabled if they still need it.
    */
   async disable() {
     if (!this._enabled) return;
-    try {
-      await cdpSend(this._wc, 'Network.disable');
-    } catch (err) {
-      // ignore
-    }
+    await this._cdp.disableDomain('Network', this);
     this._enabled = false;
   }
 
   /**
    * Block specific resource types (e.g. ['Image', 'Media', 'Font']).
+   * Calling again replaces the previously blocked types.
    */
   async blockResourceTypes(typesArray) {
-    await this.enable();
-    await cdpSend(this._wc, 'Network.setBlockedURLs', { urls: [] }); // clear first
-
-    // Use Fetch domain to intercept and block by resource type
-    await cdpSend(this._wc, 'Fetch.enable', {
-      patterns: typesArray.map((type) => ({
-        resourceType: type,
-        requestStage: 'Request',
-      })),
-    });
+    if (this._blockInterceptorId) {
+      this.removeInterceptor(this._blockInterceptorId);
+      this._blockInterceptorId = null;
+    }
+    if (!typesArray || typesArray.length === 0) return;
 
-    // Remove old listener if any
-    if (this._onRequestPaused) {
-      this._wc.debugger.removeListener('message', this._onRequestPaused);
-    }
-
-    this._onRequestPaused = (event, method, params) => {
-      if (method === 'Fetch.requestPaused') {
-        if (typesArray.includes(params.resourceType)) {
-          cdpSend(this._wc, 'Fetch.failRequest', {
-            requestId: params.requestId,
-            errorReason: 'BlockedByClient',
-          }).catch(() => {});
-        } else {
-          cdpSend(this._wc, 'Fetch.continueRequest', {
-            requestId: params.requestId,
-          }).catch(() => {});
-        }
-      }
-    };
-    this._wc.debugger.on('message', this._onRequestPaused);
+    this._blockInterceptorId = await this.addInterceptor(
+      () => ({ action: 'block' }),
+      { resourceTypes: typesArray }
+    );
   }
 
   /**
@@ -78,54 +205,511 @@ class Network {
    */
   async setExtraHTTPHeaders(headers) {
     await this.enable();
-    await cdpSend(this._wc, 'Network.setExtraHTTPHeaders', { headers });
+    await this._cdp.send('Network.setExtraHTTPHeaders', { headers });
+  }
+
+  /**
+   * Emulate network conditions: a preset name ('slow3g', 'fast3g', 'offline')
+   * or { offline?, latency?, downloadThroughput?, uploadThroughput? } with
+   * latency in ms and throughput in bytes/s (-1 = unthrottled).
+   * Pass null to restore normal conditions. Re-applied if the debugger reattaches.
+   * @param {string|object|null} conditions
+   */
+  async emulateConditions(conditions) {
+    if (!conditions) {
+      this._conditions = null;
+      if (this._onReattached) {
+        this._cdp.removeListener('reattached', this._onReattached);
+        this._onReattached = null;
+      }
+      if (this._cdp.isDomainEnabled('Network')) {
+        await this._cdp.send('Network.emulateNetworkConditions', NO_THROTTLING).catch(() => {});
+      }
+      await this._cdp.disableDomain('Network', CONDITIONS_OWNER);
+      return;
+    }
+
+    let resolved;
+    if (typeof conditions === 'string') {
+      resolved = NETWORK_PRESETS[conditions];
+      if (!resolved) {
+        throw new Error(`Unknown network preset: ${conditions}. Valid: ${Object.keys(NETWORK_PRESETS).join(', ')}`);
+      }
+    } else {
+      resolved = { ...NO_THROTTLING, ...conditions };
+    }
+
+    this._conditions = { ...resolved };
+    await this._cdp.enableDomain('Network', CONDITIONS_OWNER);
+    await this._cdp.send('Network.emulateNetworkConditions', this._conditions);
+
+    if (!this._onReattached) {
+      this._onReattached = () => {
+        if (!this._conditions) return;
+        this._cdp.send('Network.emulateNetworkConditions', this._conditions).catch(() => {});
+      };
+      this._cdp.on('reattached', this._onReattached);
+    }
+  }
+
+  /**
+   * Currently emulated network conditions, or null if none.
+   * @returns {{ offline: boolean, latency: number, downloadThroughput: number, uploadThroughput: number }|null}
+   */
+  getConditions() {
+    return this._conditions ? { ...this._conditions } : null;
   }
 
   /**
    * Intercept all requests with a custom handler.
-   * Handler receives (params) and must return { action: 'continue' } or { action: 'block' }
-   * or { action: 'modify', url?, headers? }.
+   * Handler receives (params, response) and must return { action: 'continue' } or
+   * { action: 'block' } or { action: 'modify', url?, headers? } or
+   * { action: 'fulfill', status?, headers?, body? }.
+   * Pass { stage: 'response' } to run after the response headers arrive.
+   * Calling again replaces the previous handler; pass null to remove it.
+   * Other interceptors (e.g. blockResourceTypes) keep running alongside.
+   * @param {function|null} handler
+   * @param {object} [options] - Same as addInterceptor options.
    */
-  async interceptRequests(handler) {
-    await this.enable();
-    this._interceptHandler = handler;
+  async interceptRequests(handler, options = {}) {
+    if (this._interceptHandlerId) {
+      this.removeInterceptor(this._interceptHandlerId);
+      this._interceptHandlerId = null;
+    }
+    this._interceptHandler = handler || null;
+    if (!handler) return;
 
-    await cdpSend(this._wc, 'Fetch.enable', {
-      patterns: [{ urlPattern: '*', requestStage: 'Request' }],
-    });
+    this._interceptHandlerId = await this.addInterceptor(handler, options);
+  }
 
-    // Remove old listener if any
-    if (this._onRequestPaused) {
-      this._wc.debugger.removeListener('message', this._onRequestPaused);
+  /**
+   * Add a handler to the interception chain.
+   *
+   * Handlers run in order for every paused request matching their pattern.
+   * The first decisive result wins: { action: 'block' }, { action: 'fulfill' },
+   * or 'continue'/'modify' with url, method, postData or headers overrides
+   * (status at the response stage). Returning nothing or a plain
+   * { action: 'continue' } falls through to the next handler; if no handler
+   * decides, the request continues unchanged. A throwing handler is skipped.
+   *
+   * Fulfill results: { action: 'fulfill', status?, headers?, contentType?, body?, path? }
+   * where body is a string or Buffer, or path names a file to serve. A
+   * fulfill that fails (e.g. an unreadable path) fails the request.
+   *
+   * Response-stage handlers get a second `response` argument:
+   * { status, statusText, headers, body(): Promise<Buffer>, text(): Promise<string> }.
+   * There, fulfill keeps the original status, headers and body for any field
+   * it leaves out, and continue/modify may override status and headers.
+   *
+   * @param {function} handler - async (params, response) => result
+   * @param {object} [options]
+   * @param {string} [options.stage='request'] - 'request' or 'response'
+   * @param {string|RegExp|function} [options.urlPattern='*'] - URL glob ('*' and '?'
+   *   wildcards), RegExp, or predicate (url) => boolean
+   * @param {string[]} [options.resourceTypes] - Only run for these resource types
+   * @param {boolean} [options.prepend=false] - Run before existing handlers
+   * @returns {Promise<string>} Interceptor id for removeInterceptor()
+   */
+  async addInterceptor(handler, options = {}) {
+    if (typeof handler !== 'function') throw new Error('Interceptor handler must be a function');
+    const urlPattern = options.urlPattern || '*';
+    const interceptor = {
+      id: `icp_${++this._interceptorCounter}`,
+      handler,
+      urlPattern,
+      // Only globs can be pushed down to Fetch.enable; the rest is matched here
+      fetchPattern: typeof urlPattern === 'string' ? urlPattern : '*',
+      matchUrl: toUrlMatcher(urlPattern),
+      stage: String(options.stage || 'request').toLowerCase() === 'response' ? 'Response' : 'Request',
+      resourceTypes: options.resourceTypes && options.resourceTypes.length
+        ? options.resourceTypes.slice()
+        : null,
+    };
+    if (options.prepend) this._interceptors.unshift(interceptor);
+    else this._interceptors.push(interceptor);
+
+    try {
+      await this._syncFetch();
+    } catch (err) {
+      this.removeInterceptor(interceptor.id);
+      throw err;
     }
+    return interceptor.id;
+  }
 
-    this._onRequestPaused = async (event, method, params) => {
-      if (method !== 'Fetch.requestPaused') return;
-      if (!this._interceptHandler) {
-        await cdpSend(this._wc, 'Fetch.continueRequest', { requestId: params.requestId }).catch(() => {});
-        return;
+  /**
+   * Remove a handler from the interception chain.
+   * @returns {boolean} true if the handler was registered
+   */
+  removeInterceptor(id) {
+    const index = this._interceptors.findIndex((i) => i.id === id);
+    if (index === -1) return false;
+    this._interceptors.splice(index, 1);
+    this._syncFetch().catch(() => {});
+    return true;
+  }
+
+  /**
+   * List registered interceptors in chain order.
+   */
+  getInterceptors() {
+    return this._interceptors.map((i) => ({
+      id: i.id,
+      urlPattern: i.urlPattern,
+      stage: i.stage.toLowerCase(),
+      resourceTypes: i.resourceTypes ? i.resourceTypes.slice() : null,
+    }));
+  }
+
+  /**
+   * Re-issue Fetch.enable with the union of all interceptor patterns,
+   * or release the Fetch domain once the chain is empty.
+   */
+  async _syncFetch() {
+    if (this._interceptors.length === 0) {
+      if (this._onRequestPaused) {
+        this._cdp.removeListener('Fetch.requestPaused', this._onRequestPaused);
+        this._onRequestPaused = null;
+      }
+      await this._cdp.disableDomain('Fetch', this);
+      return;
+    }
+
+    const patterns = [];
+    const seen = new Set();
+    for (const interceptor of this._interceptors) {
+      const types = interceptor.resourceTypes || [null];
+      for (const type of types) {
+        const pattern = { urlPattern: interceptor.fetchPattern, requestStage: interceptor.stage };
+        if (type) pattern.resourceType = type;
+        const key = JSON.stringify(pattern);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        patterns.push(pattern);
+      }
+    }
+
+    if (!this._onRequestPaused) {
+      this._onRequestPaused = (params) => {
+        this._dispatchRequestPaused(params).catch(() => {});
+      };
+      this._cdp.on('Fetch.requestPaused', this._onRequestPaused);
+    }
+    await this._cdp.enableDomain('Fetch', this, { patterns });
+  }
+
+  /**
+   * Run a paused request through the interceptor chain.
+   */
+  async _dispatchRequestPaused(params) {
+    const { requestId } = params;
+    const response = isResponseStage(params) ? this._pausedResponse(params) : null;
+    const stage = response ? 'Response' : 'Request';
+
+    for (const interceptor of this._interceptors.slice()) {
+      if (interceptor.stage !== stage) continue;
+      if (!this._interceptorMatches(interceptor, params)) continue;
+
+      let result;
+      try {
+        result = await interceptor.handler(params, response);
+      } catch {
+        continue; // a failing handler never stalls the request
       }
+      if (!isDecisive(result)) continue;
+
       try {
-        const result = await this._interceptHandler(params);
-        if (!result || result.action === 'continue') {
-          const opts = { requestId: params.requestId };
-          if (result && result.url) opts.url = result.url;
-          if (result && result.headers) {
-            opts.headers = Object.entries(result.headers).map(([name, value]) => ({ name, value }));
-          }
-          await cdpSend(this._wc, 'Fetch.continueRequest', opts);
-        } else if (result.action === 'block') {
-          await cdpSend(this._wc, 'Fetch.failRequest', {
-            requestId: params.requestId,
-            errorReason: 'BlockedByClient',
-          });
+        await this._applyInterceptResult(requestId, result, response);
+        return;
+      } catch {
+        if (result.action === 'fulfill') {
+          // A mocked request must not reach the network instead
+          await this._cdp.send('Fetch.failRequest', { requestId, errorReason: 'Failed' }).catch(() => {});
+          return;
         }
-      } catch (err) {
-        // Fail-safe: continue the request
-        await cdpSend(this._wc, 'Fetch.continueRequest', { requestId: params.requestId }).catch(() => {});
+        break; // invalid result — fall back to continuing
+      }
+    }
+    await this._cdp.send('Fetch.continueRequest', { requestId }).catch(() => {});
+  }
+
+  /**
+   * Build the response view passed to response-stage handlers.
+   * The body is fetched lazily and cached.
+   */
+  _pausedResponse(params) {
+    let bodyPromise = null;
+    const body = () => {
+      if (!bodyPromise) {
+        bodyPromise = this._cdp.send('Fetch.getResponseBody', { requestId: params.requestId })
+          .then((res) => Buffer.from(res.body, res.base64Encoded ? 'base64' : 'utf8'));
+      }
+      return bodyPromise;
+    };
+    return {
+      status: params.responseStatusCode,
+      statusText: params.responseStatusText || '',
+      headers: fromHeaderEntries(params.responseHeaders),
+      headerEntries: params.responseHeaders || [],
+      errorReason: params.responseErrorReason || null,
+      body,
+      text: async () => (await body()).toString('utf8'),
+    };
+  }
+
+  _interceptorMatches(interceptor, params) {
+    if (interceptor.resourceTypes && !interceptor.resourceTypes.includes(params.resourceType)) {
+      return false;
+    }
+    try {
+      return Boolean(interceptor.matchUrl(params.request.url));
+    } catch {
+      return false;
+    }
+  }
+
+  async _applyInterceptResult(requestId, result, response) {
+    if (result.action === 'fulfill') {
+      await this._fulfill(requestId, result, response);
+      return;
+    }
+    if (result.action === 'block') {
+      await this._cdp.send('Fetch.failRequest', {
+        requestId,
+        errorReason: result.errorReason || 'BlockedByClient',
+      });
+      return;
+    }
+
+    if (response) {
+      const opts = { requestId };
+      if (result.status) opts.responseCode = result.status;
+      if (result.headers) opts.responseHeaders = toHeaderEntries(result.headers);
+      await this._cdp.send('Fetch.continueResponse', opts);
+      return;
+    }
+
+    const opts = { requestId };
+    if (result.url) opts.url = result.url;
+    if (result.method) opts.method = result.method;
+    if (result.postData !== undefined) {
+      opts.postData = Buffer.from(result.postData).toString('base64');
+    }
+    if (result.headers) opts.headers = toHeaderEntries(result.headers);
+    await this._cdp.send('Fetch.continueRequest', opts);
+  }
+
+  async _fulfill(requestId, result, response) {
+    let body = result.body;
+    if (result.path) {
+      body = await fs.promises.readFile(result.path);
+    } else if ((body === undefined || body === null) && response) {
+      body = await response.body();
+    }
+
+    let headers = [];
+    if (result.headers) {
+      headers = toHeaderEntries(result.headers);
+    } else if (response) {
+      // Body is re-sent decoded, so the original encoding/length no longer apply
+      headers = omitHeaders(response.headerEntries, ['content-encoding', 'content-length']);
+    }
+    if (result.contentType) {
+      headers = omitHeaders(headers, ['content-type']);
+      headers.push({ name: 'Content-Type', value: result.contentType });
+    } else if (result.path && !hasHeader(headers, 'content-type')) {
+      const type = MIME_TYPES[path.extname(result.path).toLowerCase()];
+      if (type) headers.push({ name: 'Content-Type', value: type });
+    }
+
+    const params = {
+      requestId,
+      responseCode: result.status || (response && response.status) || 200,
+      responseHeaders: headers,
+    };
+    if (body !== undefined && body !== null) {
+      params.body = Buffer.from(body).toString('base64');
+    }
+    await this._cdp.send('Fetch.fulfillRequest', params);
+  }
+
+  /**
+   * Route requests matching a pattern to a handler that can fulfill, modify,
+   * abort or fall back. Routes registered later take precedence.
+   * @param {string|RegExp|function} pattern - URL glob, RegExp or (url) => boolean
+   * @param {function} handler - async (route: Route) => void
+   */
+  async route(pattern, handler) {
+    if (typeof handler !== 'function') throw new Error('Route handler must be a function');
+    const id = await this.addInterceptor(async (params) => {
+      const route = new Route(params);
+      await handler(route);
+      return route._result && { ...route._result, [ROUTE_RESULT]: true };
+    }, { urlPattern: pattern, prepend: true });
+    this._routes.push({ pattern, handler, id });
+  }
+
+  /**
+   * Serve matching requests from a recorded HAR instead of the network.
+   * @param {string|object} har - Path to a .har file or a parsed HAR object
+   * @param {object} [options]
+   * @param {string|RegExp|function} [options.url='*'] - Only replay requests matching this pattern
+   * @param {string} [options.notFound='abort'] - 'abort' to fail misses, 'fallback' to let them hit the network
+   * @param {boolean} [options.matchPostData=false] - Require identical post data to match
+   * @returns {Promise<HarReplayer>}
+   */
+  async routeFromHar(har, options = {}) {
+    const notFound = options.notFound || 'abort';
+    if (notFound !== 'abort' && notFound !== 'fallback') {
+      throw new Error(`Invalid notFound mode: ${notFound}. Valid: abort, fallback`);
+    }
+    const replayer = await HarReplayer.load(har, { matchPostData: options.matchPostData });
+
+    await this.route(options.url || '*', (route) => {
+      const entry = replayer.findEntry(route.request());
+      if (entry) {
+        const result = replayer.toResult(entry);
+        if (result.action === 'block') return route.abort(result.errorReason);
+        return route.fulfill(result);
+      }
+      if (notFound === 'abort') return route.abort('InternetDisconnected');
+      return route.fallback();
+    });
+    return replayer;
+  }
+
+  /**
+   * Remove routes registered with route(). Without a handler, every route
+   * for the pattern is removed.
+   * @param {string|RegExp|function} pattern
+   * @param {function} [handler]
+   */
+  async unroute(pattern, handler) {
+    const keep = [];
+    for (const entry of this._routes) {
+      if (samePattern(entry.pattern, pattern) && (!handler || entry.handler === handler)) {
+        this.removeInterceptor(entry.id);
+      } else {
+        keep.push(entry);
       }
+    }
+    this._routes = keep;
+  }
+
+  /**
+   * Start emitting 'request', 'response', 'requestfinished', 'requestfailed'
+   * and 'websocket' events. Called automatically when a listener subscribes.
+   */
+  async enableEvents() {
+    // Concurrent callers all wait for the domain to be on
+    if (this._eventsEnabled) return this._eventsEnabling;
+    this._eventsEnabled = true;
+
+    this._trafficListeners = {
+      'Network.requestWillBeSent': (params) => this._onRequestWillBeSent(params),
+      'Network.responseReceived': (params) => this._onResponseReceived(params),
+      'Network.loadingFinished': (params) => this._onLoadingFinished(params),
+      'Network.loadingFailed': (params) => this._onLoadingFailed(params),
+      'Network.webSocketCreated': (params) => this._onWebSocketCreated(params),
+      'Network.webSocketFrameSent': (params) => this._withWebSocket(params, (ws) => ws._onFrameSent(params)),
+      'Network.webSocketFrameReceived': (params) => this._withWebSocket(params, (ws) => ws._onFrameReceived(params)),
+      'Network.webSocketFrameError': (params) => this._withWebSocket(params, (ws) => ws._onError(params.errorMessage)),
+      'Network.webSocketClosed': (params) => this._onWebSocketClosed(params),
     };
-    this._wc.debugger.on('message', this._onRequestPaused);
+    for (const [method, listener] of Object.entries(this._trafficListeners)) {
+      this._cdp.on(method, listener);
+    }
+
+    this._eventsEnabling = this._cdp.enableDomain('Network', EVENTS_OWNER).catch(async (err) => {
+      await this.disableEvents();
+      throw err;
+    });
+    return this._eventsEnabling;
+  }
+
+  /**
+   * Stop emitting traffic events.
+   */
+  async disableEvents() {
+    if (!this._eventsEnabled) return;
+    this._eventsEnabled = false;
+    for (const [method, listener] of Object.entries(this._trafficListeners)) {
+      this._cdp.removeListener(method, listener);
+    }
+    this._trafficListeners = null;
+    this._eventsEnabling = null;
+    this._requests.clear();
+    this._webSockets.clear();
+    await this._cdp.disableDomain('Network', EVENTS_OWNER);
+  }
+
+  /**
+   * Requests that have started but not yet finished or failed.
+   * @returns {Request[]}
+   */
+  getInflightRequests() {
+    return Array.from(this._requests.values());
+  }
+
+  _onRequestWillBeSent(params) {
+    const previous = params.redirectResponse ? this._requests.get(params.requestId) : null;
+    const request = new Request(params, previous || null);
+    this._requests.set(params.requestId, request);
+
+    if (previous) {
+      // Same requestId is reused for each hop — settle the previous one
+      const response = new Response(this, previous, params.redirectResponse, true);
+      previous._response = response;
+      previous._finish(params.timestamp);
+      response._finish();
+      this.emit('response', response);
+      this.emit('requestfinished', previous);
+    }
+    this.emit('request', request);
+  }
+
+  _onResponseReceived(params) {
+    const request = this._requests.get(params.requestId);
+    if (!request) return;
+    const response = new Response(this, request, params.response);
+    request._response = response;
+    this.emit('response', response);
+  }
+
+  _onLoadingFinished(params) {
+    const request = this._requests.get(params.requestId);
+    if (!request) return;
+    this._requests.delete(params.requestId);
+    request._finish(params.timestamp, params.encodedDataLength);
+    if (request._response) request._response._finish();
+    this.emit('requestfinished', request);
+  }
+
+  _onLoadingFailed(params) {
+    const request = this._requests.get(params.requestId);
+    if (!request) return;
+    this._requests.delete(params.requestId);
+    request._fail(params.timestamp, params.errorText, params.canceled || false);
+    if (request._response) request._response._finish(new Error(params.errorText));
+    this.emit('requestfailed', request);
+  }
+
+  _onWebSocketCreated(params) {
+    const ws = new WebSocket(params, this._cdp);
+    this._webSockets.set(params.requestId, ws);
+    this.emit('websocket', ws);
+  }
+
+  _withWebSocket(params, fn) {
+    const ws = this._webSockets.get(params.requestId);
+    if (ws) fn(ws);
+  }
+
+  _onWebSocketClosed(params) {
+    const ws = this._webSockets.get(params.requestId);
+    if (!ws) return;
+    this._webSockets.delete(params.requestId);
+    ws._onClose();
   }
 
   /**
@@ -133,22 +717,31 @@ class Network {
    */
   async getResponseBody(requestId) {
     await this.enable();
-    return cdpSend(this._wc, 'Network.getResponseBody', { requestId });
+    return this._cdp.send('Network.getResponseBody', { requestId });
   }
 
   /**
-   * Clean up listeners.
+   * Clean up listeners and release CDP domains held by this module.
    */
   destroy() {
     if (this._onRequestPaused) {
-      try {
-        this._wc.debugger.removeListener('message', this._onRequestPaused);
-      } catch (err) {
-        // ignore
-      }
+      this._cdp.removeListener('Fetch.requestPaused', this._onRequestPaused);
       this._onRequestPaused = null;
     }
+    if (this._onReattached) {
+      this._cdp.removeListener('reattached', this._onReattached);
+      this._onReattached = null;
+    }
+    this._conditions = null;
+    this._cdp.disableDomain('Network', CONDITIONS_OWNER).catch(() => {});
+    this.disableEvents().catch(() => {});
+    this.removeAllListeners();
+    this._cdp.release(this).catch(() => {});
+    this._interceptors = [];
+    this._routes = [];
     this._interceptHandler = null;
+    this._interceptHandlerId = null;
+    this._blockInterceptorId = null;
     this._enabled = false;
   }
 }
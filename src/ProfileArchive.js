@@ -0,0 +1,486 @@
+'use strict';
+
+const fs = require('fs');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { BrowserView } = require('electron');
+const CDPSession = require('./CDPSession');
+
+const scrypt = promisify(crypto.scrypt);
+
+const MAGIC = Buffer.from('ISHP');
+const FORMAT_VERSION = 1;
+const FLAG_ENCRYPTED = 1;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const SCRATCH_OWNER = 'ProfileArchive';
+const SEED_OWNER = 'SessionStorageSeed';
+const ORIGIN_TIMEOUT = 15000;
+
+// Structured-clone values that JSON can't hold (Dates, binary, Blobs,
+// Maps, ...) are tagged as { __ish: type, v } on the way out and rebuilt on
+// the way back in. Shared by the dump and restore scripts.
+const CODEC = `
+  function b64(bytes) {
+    let s = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return btoa(s);
+  }
+  function unb64(s) {
+    const raw = atob(s);
+    const bytes = new Uint8Array(raw.length);
+    for (let i = 0; i < raw.length; i++) bytes[i] = raw.charCodeAt(i);
+    return bytes;
+  }
+  async function encode(v) {
+    if (v === undefined) return { __ish: 'undefined' };
+    if (typeof v === 'bigint') return { __ish: 'BigInt', v: String(v) };
+    if (typeof v === 'number' && !isFinite(v)) return { __ish: 'Number', v: String(v) };
+    if (v === null || typeof v !== 'object') return v;
+    if (v instanceof Date) return { __ish: 'Date', v: v.getTime() };
+    if (v instanceof RegExp) return { __ish: 'RegExp', v: v.source, flags: v.flags };
+    if (v instanceof ArrayBuffer) return { __ish: 'ArrayBuffer', v: b64(new Uint8Array(v)) };
+    if (ArrayBuffer.isView(v)) return { __ish: v.constructor.name, v: b64(new Uint8Array(v.buffer, v.byteOffset, v.byteLength)) };
+    if (v instanceof Blob) {
+      const out = { __ish: v instanceof File ? 'File' : 'Blob', type: v.type, v: b64(new Uint8Array(await v.arrayBuffer())) };
+      if (v instanceof File) { out.name = v.name; out.lastModified = v.lastModified; }
+      return out;
+    }
+    if (v instanceof Map) return { __ish: 'Map', v: await encode(Array.from(v)) };
+    if (v instanceof Set) return { __ish: 'Set', v: await encode(Array.from(v)) };
+    if (Array.isArray(v)) {
+      const out = [];
+      for (const item of v) out.push(await encode(item));
+      return out;
+    }
+    const out = {};
+    for (const k of Object.keys(v)) out[k] = await encode(v[k]);
+    return out;
+  }
+  function decode(v) {
+    if (v === null || typeof v !== 'object') return v;
+    if (Array.isArray(v)) return v.map(decode);
+    switch (v.__ish) {
+      case undefined: break;
+      case 'undefined': return undefined;
+      case 'BigInt': return BigInt(v.v);
+      case 'Number': return Number(v.v);
+      case 'Date': return new Date(v.v);
+      case 'RegExp': return new RegExp(v.v, v.flags);
+      case 'ArrayBuffer': return unb64(v.v).buffer;
+      case 'Blob': return new Blob([unb64(v.v)], { type: v.type });
+      case 'File': return new File([unb64(v.v)], v.name, { type: v.type, lastModified: v.lastModified });
+      case 'Map': return new Map(decode(v.v));
+      case 'Set': return new Set(decode(v.v));
+      default: return new globalThis[v.__ish](unb64(v.v).buffer); // typed array or DataView
+    }
+    const out = {};
+    for (const k of Object.keys(v)) out[k] = decode(v[k]);
+    return out;
+  }
+  function done(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+`;
+
+// Dumps localStorage and every IndexedDB database of the current origin
+const DUMP_SCRIPT = `(async function () {
+  ${CODEC}
+  const local = {};
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    local[key] = localStorage.getItem(key);
+  }
+  const databases = [];
+  for (const info of await indexedDB.databases()) {
+    const db = await done(indexedDB.open(info.name));
+    const stores = [];
+    for (const name of Array.from(db.objectStoreNames)) {
+      const store = db.transaction(name, 'readonly').objectStore(name);
+      const indexes = Array.from(store.indexNames).map((indexName) => {
+        const index = store.index(indexName);
+        return { name: indexName, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+      });
+      const [keys, values] = await Promise.all([done(store.getAllKeys()), done(store.getAll())]);
+      const records = [];
+      for (let i = 0; i < keys.length; i++) records.push([await encode(keys[i]), await encode(values[i])]);
+      stores.push({ name, keyPath: store.keyPath, autoIncrement: store.autoIncrement, indexes, records });
+    }
+    databases.push({ name: db.name, version: db.version, stores });
+    db.close();
+  }
+  return { localStorage: local, indexedDB: databases };
+})()`;
+
+function restoreScript(data) {
+  return `(async function (data) {
+  ${CODEC}
+  for (const [key, value] of Object.entries(data.localStorage || {})) localStorage.setItem(key, value);
+  for (const database of data.indexedDB || []) {
+    const open = indexedDB.open(database.name, database.version);
+    open.onupgradeneeded = () => {
+      const db = open.result;
+      for (const def of database.stores) {
+        if (db.objectStoreNames.contains(def.name)) continue;
+        const store = db.createObjectStore(def.name, { keyPath: def.keyPath, autoIncrement: def.autoIncrement });
+        for (const index of def.indexes) {
+          store.createIndex(index.name, index.keyPath, { unique: index.unique, multiEntry: index.multiEntry });
+        }
+      }
+    };
+    const db = await done(open);
+    for (const def of database.stores) {
+      if (def.records.length === 0) continue;
+      const tx = db.transaction(def.name, 'readwrite');
+      const store = tx.objectStore(def.name);
+      for (const [key, value] of def.records) {
+        if (def.keyPath === null) store.put(decode(value), decode(key));
+        else store.put(decode(value));
+      }
+      await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    }
+    db.close();
+  }
+})(${JSON.stringify(data)})`;
+}
+
+function cookieUrl(cookie) {
+  return `${cookie.secure ? 'https' : 'http'}://${cookie.domain.replace(/^\./, '')}${cookie.path || '/'}`;
+}
+
+function originOf(url) {
+  try {
+    const origin = new URL(url).origin;
+    return origin === 'null' ? null : origin;
+  } catch {
+    return null;
+  }
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run fn(webContents) with a hidden view on a profile's partition. Every
+ * request it makes is answered with an empty page, so loading an origin
+ * gives script access to that origin's storage without touching the
+ * network, running site code or waking service workers.
+ */
+async function withScratchPage(partition, fn) {
+  const view = new BrowserView({
+    webPreferences: { partition, contextIsolation: true, nodeIntegration: false, sandbox: true },
+  });
+  const wc = view.webContents;
+  const cdp = CDPSession.for(wc);
+  const onPaused = (params) => {
+    cdp.send('Fetch.fulfillRequest', {
+      requestId: params.requestId,
+      responseCode: 200,
+      responseHeaders: [{ name: 'Content-Type', value: 'text/html' }],
+      body: '',
+    }).catch(() => {});
+  };
+  cdp.on('Fetch.requestPaused', onPaused);
+  try {
+    await cdp.enableDomain('Network', SCRATCH_OWNER);
+    await cdp.send('Network.setBypassServiceWorker', { bypass: true });
+    await cdp.enableDomain('Fetch', SCRATCH_OWNER, { patterns: [{ urlPattern: '*' }] });
+    return await fn(wc);
+  } finally {
+    cdp.removeListener('Fetch.requestPaused', onPaused);
+    cdp.destroy();
+    try {
+      wc.close();
+    } catch {
+      // ignore
+    }
+  }
+}
+
+/**
+ * Init script that fills a tab's sessionStorage with the saved items of
+ * the document's origin, unless it already holds something.
+ * @param {object} sessionStorage - origin -> { key: value }
+ */
+function sessionStorageScript(sessionStorage) {
+  return `(function (saved) {
+  try {
+    const items = saved[location.origin];
+    if (!items || sessionStorage.length > 0) return;
+    for (const key of Object.keys(items)) sessionStorage.setItem(key, items[key]);
+  } catch (e) {}
+})(${JSON.stringify(sessionStorage)})`;
+}
+
+/**
+ * Portable snapshot of a profile's session data: cookies (httpOnly
+ * included), localStorage and IndexedDB per origin, the sessionStorage of
+ * a live page, and the profile options.
+ *
+ * Archives are gzipped JSON, optionally encrypted with a passphrase
+ * (scrypt + AES-256-GCM).
+ */
+class ProfileArchive {
+  /**
+   * Collect a profile's data.
+   * @param {Electron.Session} ses
+   * @param {string} partition
+   * @param {object} [options]
+   * @param {string[]} [options.origins] - Origins whose storage to include; defaults to
+   *   https://<host> for every cookie host, plus the page's origin
+   * @param {import('./ElectronPage')} [options.page] - Live page to take sessionStorage from
+   * @param {object} [options.profileOptions] - Stored with the data
+   * @returns {Promise<object>}
+   */
+  static async capture(ses, partition, options = {}) {
+    const cookies = await ses.cookies.get({});
+    const pageOrigin = options.page ? originOf(options.page.url()) : null;
+
+    let origins = options.origins;
+    if (!origins) {
+      origins = cookies.map((c) => `https://${c.domain.replace(/^\./, '')}`);
+      if (pageOrigin) origins.push(pageOrigin);
+    }
+    origins = Array.from(new Set(origins.map(originOf).filter(Boolean)));
+
+    const storage = {};
+    await withScratchPage(partition, async (wc) => {
+      for (const origin of origins) {
+        try {
+          await withTimeout(wc.loadURL(`${origin}/`), ORIGIN_TIMEOUT, `Timed out loading ${origin}`);
+          const data = await wc.executeJavaScript(DUMP_SCRIPT, true);
+          if (Object.keys(data.localStorage).length > 0 || data.indexedDB.length > 0) storage[origin] = data;
+        } catch (err) {
+          console.error(`[ISHbrowser] Skipped storage of ${origin} in profile export:`, err.message);
+        }
+      }
+    });
+
+    const sessionStorage = {};
+    if (options.page && pageOrigin) {
+      try {
+        const items = await options.page.getAllSessionStorage();
+        if (items && Object.keys(items).length > 0) sessionStorage[pageOrigin] = items;
+      } catch {
+        // ignore — page may have navigated away
+      }
+    }
+
+    return {
+      version: FORMAT_VERSION,
+      exportedAt: Date.now(),
+      options: options.profileOptions || {},
+      cookies,
+      storage,
+      sessionStorage,
+    };
+  }
+
+  /**
+   * Write captured data into a (fresh) profile's session.
+   * @param {Electron.Session} ses
+   * @param {string} partition
+   * @param {object} data - From capture()
+   * @returns {Promise<{ cookies: number, skippedCookies: number, origins: number, skippedOrigins: number }>}
+   *   Origins that fail to load are skipped, as in capture()
+   */
+  static async restore(ses, partition, data) {
+    let restored = 0;
+    let skipped = 0;
+    for (const cookie of data.cookies || []) {
+      const details = {
+        url: cookieUrl(cookie),
+        name: cookie.name,
+        value: cookie.value,
+        path: cookie.path,
+        secure: cookie.secure,
+        httpOnly: cookie.httpOnly,
+        sameSite: cookie.sameSite,
+      };
+      if (!cookie.hostOnly) details.domain = cookie.domain;
+      if (!cookie.session && cookie.expirationDate) details.expirationDate = cookie.expirationDate;
+      try {
+        await ses.cookies.set(details);
+        restored++;
+      } catch {
+        skipped++;
+      }
+    }
+    await ses.cookies.flushStore().catch(() => {});
+
+    const origins = Object.keys(data.storage || {});
+    let restoredOrigins = 0;
+    await withScratchPage(partition, async (wc) => {
+      for (const origin of origins) {
+        try {
+          await withTimeout(wc.loadURL(`${origin}/`), ORIGIN_TIMEOUT, `Timed out loading ${origin}`);
+          await wc.executeJavaScript(restoreScript(data.storage[origin]), true);
+          restoredOrigins++;
+        } catch (err) {
+          console.error(`[ISHbrowser] Skipped storage of ${origin} in profile import:`, err.message);
+        }
+      }
+    });
+    ses.flushStorageData();
+
+    return {
+      cookies: restored,
+      skippedCookies: skipped,
+      origins: restoredOrigins,
+      skippedOrigins: origins.length - restoredOrigins,
+    };
+  }
+
+  /**
+   * Serialize data into an archive.
+   * @param {object} data
+   * @param {object} [options]
+   * @param {string} [options.passphrase] - Encrypt the archive
+   * @returns {Promise<Buffer>}
+   */
+  static async pack(data, options = {}) {
+    const body = zlib.gzipSync(Buffer.from(JSON.stringify(data)));
+    if (!options.passphrase) {
+      return Buffer.concat([MAGIC, Buffer.from([FORMAT_VERSION, 0]), body]);
+    }
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const key = await scrypt(options.passphrase, salt, 32);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const encrypted = Buffer.concat([cipher.update(body), cipher.final()]);
+    return Buffer.concat([MAGIC, Buffer.from([FORMAT_VERSION, FLAG_ENCRYPTED]), salt, iv, cipher.getAuthTag(), encrypted]);
+  }
+
+  /**
+   * Read an archive.
+   * @param {Buffer|string} archive - Archive bytes or a file path
+   * @param {object} [options]
+   * @param {string} [options.passphrase]
+   * @returns {Promise<object>}
+   */
+  static async unpack(archive, options = {}) {
+    const buffer = Buffer.isBuffer(archive) ? archive : await fs.promises.readFile(archive);
+    if (buffer.length < MAGIC.length + 2 || !buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+      throw new Error('Not a profile archive');
+    }
+    const version = buffer[MAGIC.length];
+    if (version > FORMAT_VERSION) throw new Error(`Unsupported profile archive version: ${version}`);
+
+    const flags = buffer[MAGIC.length + 1];
+    let body = buffer.subarray(MAGIC.length + 2);
+    if (flags & FLAG_ENCRYPTED) {
+      if (!options.passphrase) throw new Error('Profile archive is encrypted; a passphrase is required');
+      const salt = body.subarray(0, SALT_LENGTH);
+      const iv = body.subarray(SALT_LENGTH, SALT_LENGTH + IV_LENGTH);
+      const tag = body.subarray(SALT_LENGTH + IV_LENGTH, SALT_LENGTH + IV_LENGTH + TAG_LENGTH);
+      const key = await scrypt(options.passphrase, salt, 32);
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAuthTag(tag);
+      try {
+        body = Buffer.concat([decipher.update(body.subarray(SALT_LENGTH + IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+      } catch {
+        throw new Error('Wrong passphrase or corrupted profile archive');
+      }
+    }
+    return JSON.parse(zlib.gunzipSync(body).toString());
+  }
+
+  /**
+   * Fill a page's sessionStorage from an archive the first time it opens a
+   * document of each saved origin. The init script is also set up in
+   * out-of-process iframes and again after the debugger reattaches, and is
+   * narrowed down as origins load, so an origin whose page later clears its
+   * sessionStorage doesn't get the old items back.
+   * @param {import('./CDPSession')} cdp - The page's session
+   * @param {object} sessionStorage - origin -> { key: value }
+   */
+  static async seedSessionStorage(cdp, sessionStorage) {
+    const pending = new Map(Object.entries(sessionStorage));
+    if (pending.size === 0) return;
+
+    let mainScriptId = null;
+    /** @type {Map<string, string>} Script identifiers in child targets by sessionId */
+    const childScriptIds = new Map();
+    let updating = Promise.resolve();
+
+    const addScript = async (sessionId) => {
+      const source = sessionStorageScript(Object.fromEntries(pending));
+      const { identifier } = await cdp.send('Page.addScriptToEvaluateOnNewDocument', { source }, sessionId);
+      return identifier;
+    };
+
+    const stop = () => {
+      cdp.removeListener('Page.frameNavigated', onNavigated);
+      cdp.removeListener('reattached', onReattached);
+      cdp.removeChildTargetInitializer(SEED_OWNER).catch(() => {});
+      cdp.release(SEED_OWNER).catch(() => {});
+    };
+
+    // Swap the scripts for ones covering only the origins still pending
+    const update = async () => {
+      const scripts = [[undefined, mainScriptId], ...childScriptIds];
+      mainScriptId = null;
+      childScriptIds.clear();
+      for (const [sessionId, identifier] of scripts) {
+        if (!identifier) continue;
+        await cdp.send('Page.removeScriptToEvaluateOnNewDocument', { identifier }, sessionId).catch(() => {});
+      }
+      if (pending.size === 0) {
+        stop();
+        return;
+      }
+      mainScriptId = await addScript();
+      for (const [sessionId] of scripts) {
+        if (!sessionId) continue;
+        try {
+          childScriptIds.set(sessionId, await addScript(sessionId));
+        } catch {
+          // ignore — frame is gone
+        }
+      }
+    };
+
+    // The script has run in the new document by the time it commits
+    const onNavigated = ({ frame }) => {
+      if (!pending.delete(originOf(frame.url))) return;
+      updating = updating.then(update).catch(() => {});
+    };
+    const onReattached = () => {
+      childScriptIds.clear();
+      updating = updating
+        .then(async () => { mainScriptId = await addScript(); })
+        .catch(() => {});
+    };
+
+    cdp.on('Page.frameNavigated', onNavigated);
+    cdp.on('reattached', onReattached);
+    try {
+      await cdp.enableDomain('Page', SEED_OWNER);
+      mainScriptId = await addScript();
+      await cdp.addChildTargetInitializer(SEED_OWNER, async (sessionId) => {
+        if (pending.size > 0) childScriptIds.set(sessionId, await addScript(sessionId));
+      });
+    } catch (err) {
+      stop();
+      throw err;
+    }
+  }
+}
+
+module.exports = ProfileArchive;
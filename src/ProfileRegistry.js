@@ -0,0 +1,155 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { toStoredProfileOptions } = require('./utils');
+
+const MANIFEST_FILE = 'profiles.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * A JSON manifest of profile definitions and metadata, kept in one
+ * directory so profiles can be recreated after a restart.
+ *
+ * Each entry holds the createProfile() options plus { tags, notes,
+ * createdAt, lastUsedAt, lastUrl }. Changes are written in the background
+ * (atomically, via a temp file); flush() waits for pending writes.
+ */
+class ProfileRegistry {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Directory holding profiles.json (created on first write)
+   */
+  constructor(options = {}) {
+    if (!options.dir) throw new Error('ProfileRegistry requires a dir');
+    this._dir = options.dir;
+    this._file = path.join(this._dir, MANIFEST_FILE);
+    /** @type {Map<string, object>} */
+    this._entries = new Map();
+    this._saving = Promise.resolve();
+    this._dirty = false;
+    this._read();
+  }
+
+  /** @returns {string} Path of the manifest file */
+  get path() { return this._file; }
+
+  _read() {
+    let text;
+    try {
+      text = fs.readFileSync(this._file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    let manifest;
+    try {
+      manifest = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Invalid profile registry ${this._file}: ${err.message}`);
+    }
+    for (const [id, entry] of Object.entries(manifest.profiles || {})) {
+      this._entries.set(id, entry);
+    }
+  }
+
+  /**
+   * Saved profile, or null.
+   * @param {string} profileId
+   * @returns {{ id: string, options: object, tags: string[], notes: string, createdAt: number, lastUsedAt: number, lastUrl: string|null }|null}
+   */
+  get(profileId) {
+    const entry = this._entries.get(profileId);
+    return entry ? { id: profileId, ...JSON.parse(JSON.stringify(entry)) } : null;
+  }
+
+  /**
+   * Saved profiles, optionally only those carrying a tag.
+   * @param {object} [filter]
+   * @param {string} [filter.tag]
+   * @returns {object[]} See get()
+   */
+  list(filter = {}) {
+    return Array.from(this._entries.keys())
+      .map((id) => this.get(id))
+      .filter((entry) => !filter.tag || entry.tags.includes(filter.tag));
+  }
+
+  /**
+   * Save a profile's options and mark it used. Keeps createdAt, tags, notes
+   * and lastUrl of an existing entry unless given.
+   * @param {string} profileId
+   * @param {object} options - createProfile() options; `tags` and `notes` are stored as metadata
+   */
+  record(profileId, options = {}) {
+    const now = Date.now();
+    const existing = this._entries.get(profileId);
+    this._entries.set(profileId, {
+      options: toStoredProfileOptions(options),
+      tags: options.tags || (existing ? existing.tags : []),
+      notes: options.notes !== undefined ? options.notes : (existing ? existing.notes : ''),
+      createdAt: existing ? existing.createdAt : now,
+      lastUsedAt: now,
+      lastUrl: existing ? existing.lastUrl : null,
+    });
+    this._scheduleSave();
+  }
+
+  /**
+   * Change a saved profile's metadata.
+   * @param {string} profileId
+   * @param {object} changes
+   * @param {string[]} [changes.tags]
+   * @param {string} [changes.notes]
+   * @param {string} [changes.lastUrl]
+   */
+  update(profileId, changes = {}) {
+    const entry = this._entries.get(profileId);
+    if (!entry) throw new Error(`Profile "${profileId}" is not in the registry`);
+    if (changes.tags !== undefined) entry.tags = changes.tags;
+    if (changes.notes !== undefined) entry.notes = changes.notes;
+    if (changes.lastUrl !== undefined) entry.lastUrl = changes.lastUrl;
+    entry.lastUsedAt = Date.now();
+    this._scheduleSave();
+  }
+
+  /**
+   * Forget a saved profile.
+   * @param {string} profileId
+   * @returns {boolean} Whether it was saved
+   */
+  remove(profileId) {
+    const removed = this._entries.delete(profileId);
+    if (removed) this._scheduleSave();
+    return removed;
+  }
+
+  /**
+   * Wait for pending writes.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this._saving;
+  }
+
+  _scheduleSave() {
+    if (this._dirty) return;
+    this._dirty = true;
+    this._saving = this._saving.then(() => {
+      this._dirty = false;
+      return this._write();
+    }).catch((err) => {
+      console.error('[ISHbrowser] Failed to save profile registry:', err.message);
+    });
+  }
+
+  async _write() {
+    const manifest = { version: MANIFEST_VERSION, profiles: Object.fromEntries(this._entries) };
+    const tmp = `${this._file}.tmp`;
+    await fs.promises.mkdir(this._dir, { recursive: true });
+    await fs.promises.writeFile(tmp, JSON.stringify(manifest, null, 2));
+    await fs.promises.rename(tmp, this._file);
+  }
+}
+
+module.exports = ProfileRegistry;
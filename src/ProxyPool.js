@@ -0,0 +1,253 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const { session, net } = require('electron');
+const { splitProxyCredentials, hashString } = require('./utils');
+
+const STRATEGIES = ['round-robin', 'sticky', 'on-failure'];
+
+// Shared across pools so probe partitions never collide
+let probeCounter = 0;
+
+/**
+ * A list of proxies with health state and a rotation strategy.
+ *
+ * - 'round-robin': new profiles are spread across the pool; each rotation
+ *   moves a profile to the next healthy proxy.
+ * - 'sticky': a profile always maps to the same proxy (by profileId hash),
+ *   moving on only while that proxy is unhealthy.
+ * - 'on-failure': the list is a priority order — profiles use the first
+ *   healthy proxy and only move on when it fails.
+ *
+ * Unhealthy proxies are skipped by every strategy.
+ *
+ * Events: 'health' ({ proxy, healthy, status, latency, error }) when a
+ * proxy's health changes.
+ */
+class ProxyPool extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string[]} options.proxies - Proxy rules, credentials may be embedded
+   * @param {string} [options.rotation='round-robin'] - 'round-robin', 'sticky' or 'on-failure'
+   * @param {object} [options.healthCheck]
+   * @param {string} [options.healthCheck.url] - URL fetched through each proxy; a status below 400 is healthy
+   * @param {number} [options.healthCheck.timeout=10000]
+   * @param {number} [options.healthCheck.interval=0] - Re-check every N ms (0 = only on checkAll())
+   */
+  constructor(options = {}) {
+    super();
+    const rotation = options.rotation || 'round-robin';
+    if (!STRATEGIES.includes(rotation)) {
+      throw new Error(`Invalid rotation strategy: ${rotation}. Valid: ${STRATEGIES.join(', ')}`);
+    }
+    if (!Array.isArray(options.proxies) || options.proxies.length === 0) {
+      throw new Error('ProxyPool requires a non-empty proxies array');
+    }
+
+    this._rotation = rotation;
+    this._healthCheck = options.healthCheck || {};
+    this._entries = options.proxies.map((proxy) => ({
+      proxy,
+      ...splitProxyCredentials(proxy),
+      healthy: null,
+      status: null,
+      latency: null,
+      error: null,
+      lastChecked: null,
+    }));
+    this._cursor = 0;
+    this._checkTimer = null;
+    /** @type {Map<string, Electron.Session>} One in-memory probe session per proxy */
+    this._probeSessions = new Map();
+  }
+
+  /** @returns {string} */
+  get rotation() { return this._rotation; }
+
+  /** @returns {string[]} */
+  get proxies() { return this._entries.map((e) => e.proxy); }
+
+  /**
+   * Pick a proxy for a profile.
+   * @param {string} profileId
+   * @param {string|null} [current] - The profile's current proxy, if any
+   * @param {object} [options]
+   * @param {boolean} [options.rotate=false] - Move away from `current` even if healthy
+   * @returns {{ proxy: string, proxyRules: string, proxyAuth: object|null }}
+   */
+  select(profileId, current = null, options = {}) {
+    const currentEntry = this._entries.find((e) => e.proxy === current) || null;
+    const leaving = Boolean(currentEntry && (options.rotate || currentEntry.healthy === false));
+    const usable = (entry) => entry.healthy !== false && !(leaving && entry === currentEntry);
+
+    if (this._rotation === 'sticky') {
+      return this._publicEntry(this._scan(hashString(profileId) % this._entries.length, usable));
+    }
+    if (currentEntry && !leaving) return this._publicEntry(currentEntry);
+
+    if (this._rotation === 'on-failure') {
+      return this._publicEntry(this._scan(0, usable));
+    }
+    const entry = this._scan(this._cursor, usable);
+    this._cursor = (this._entries.indexOf(entry) + 1) % this._entries.length;
+    return this._publicEntry(entry);
+  }
+
+  /**
+   * First entry from `start` (wrapping) that passes the test, or the entry at
+   * `start` if none does — better a suspect proxy than no proxy at all.
+   */
+  _scan(start, test) {
+    for (let i = 0; i < this._entries.length; i++) {
+      const entry = this._entries[(start + i) % this._entries.length];
+      if (test(entry)) return entry;
+    }
+    return this._entries[start % this._entries.length];
+  }
+
+  _publicEntry(entry) {
+    return { proxy: entry.proxy, proxyRules: entry.proxyRules, proxyAuth: entry.proxyAuth };
+  }
+
+  /**
+   * Whether a proxy is usable, i.e. not known to be unhealthy.
+   * @param {string} proxy
+   */
+  isHealthy(proxy) {
+    const entry = this._entries.find((e) => e.proxy === proxy);
+    return !entry || entry.healthy !== false;
+  }
+
+  /**
+   * Mark a proxy unhealthy (e.g. after a navigation through it failed).
+   * It becomes usable again once a health probe passes.
+   * @param {string} proxy
+   * @param {Error|string} [error]
+   */
+  markFailed(proxy, error) {
+    const entry = this._entries.find((e) => e.proxy === proxy);
+    if (!entry) return;
+    this._setHealth(entry, { healthy: false, status: null, latency: null, error: error ? String(error.message || error) : 'Reported failed' });
+  }
+
+  /**
+   * Health of every proxy.
+   * @returns {Array<{ proxy: string, healthy: boolean|null, status: number|null, latency: number|null, error: string|null, lastChecked: number|null }>}
+   */
+  getHealth() {
+    return this._entries.map(({ proxy, healthy, status, latency, error, lastChecked }) => ({
+      proxy, healthy, status, latency, error, lastChecked,
+    }));
+  }
+
+  /**
+   * Probe every proxy against the health check URL.
+   * @returns {Promise<object[]>} See getHealth()
+   */
+  async checkAll() {
+    await Promise.all(this._entries.map((entry) => this._check(entry)));
+    return this.getHealth();
+  }
+
+  /**
+   * Probe one proxy.
+   * @param {string} proxy
+   * @returns {Promise<{ proxy: string, healthy: boolean, status: number|null, latency: number|null, error: string|null }>}
+   */
+  async check(proxy) {
+    const entry = this._entries.find((e) => e.proxy === proxy);
+    if (!entry) throw new Error(`Unknown proxy: ${proxy}`);
+    await this._check(entry);
+    return this.getHealth().find((h) => h.proxy === proxy);
+  }
+
+  async _check(entry) {
+    if (!this._healthCheck.url) throw new Error('healthCheck.url is not configured');
+    const started = Date.now();
+    try {
+      const status = await this._probe(entry);
+      this._setHealth(entry, { healthy: status < 400, status, latency: Date.now() - started, error: status < 400 ? null : `HTTP ${status}` });
+    } catch (err) {
+      this._setHealth(entry, { healthy: false, status: null, latency: null, error: err.message });
+    }
+  }
+
+  async _probe(entry) {
+    let ses = this._probeSessions.get(entry.proxy);
+    if (!ses) {
+      ses = session.fromPartition(`ishbrowser-proxy-probe-${++probeCounter}`);
+      this._probeSessions.set(entry.proxy, ses);
+    }
+    await ses.setProxy({ proxyRules: entry.proxyRules });
+    await ses.closeAllConnections();
+
+    const timeout = this._healthCheck.timeout || 10000;
+    return new Promise((resolve, reject) => {
+      const request = net.request({ url: this._healthCheck.url, session: ses, useSessionCookies: false });
+      const timer = setTimeout(() => {
+        request.abort();
+        reject(new Error(`Health probe timed out after ${timeout}ms`));
+      }, timeout);
+
+      request.on('login', (authInfo, callback) => {
+        if (authInfo.isProxy && entry.proxyAuth) callback(entry.proxyAuth.username, entry.proxyAuth.password);
+        else callback();
+      });
+      request.on('response', (response) => {
+        clearTimeout(timer);
+        response.on('data', () => {});
+        response.on('error', () => {});
+        resolve(response.statusCode);
+      });
+      request.on('error', (err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+      request.end();
+    });
+  }
+
+  _setHealth(entry, health) {
+    const changed = entry.healthy !== health.healthy;
+    Object.assign(entry, health, { lastChecked: Date.now() });
+    if (changed) {
+      this.emit('health', {
+        proxy: entry.proxy,
+        healthy: entry.healthy,
+        status: entry.status,
+        latency: entry.latency,
+        error: entry.error,
+      });
+    }
+  }
+
+  /**
+   * Start periodic health checks (healthCheck.interval). Called by ProfileManager.
+   */
+  startHealthChecks() {
+    const interval = this._healthCheck.interval || 0;
+    if (this._checkTimer || !interval || !this._healthCheck.url) return;
+    this.checkAll().catch(() => {});
+    this._checkTimer = setInterval(() => {
+      this.checkAll().catch(() => {});
+    }, interval);
+  }
+
+  stopHealthChecks() {
+    if (this._checkTimer) {
+      clearInterval(this._checkTimer);
+      this._checkTimer = null;
+    }
+  }
+
+  /**
+   * Stop health checks and drop listeners.
+   */
+  destroy() {
+    this.stopHealthChecks();
+    this.removeAllListeners();
+    this._probeSessions.clear();
+  }
+}
+
+module.exports = ProxyPool;
@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * A network request observed through the CDP Network domain.
+ * Emitted by page.on('request' | 'requestfinished' | 'requestfailed').
+ */
+class Request {
+  /**
+   * @param {object} params - Network.requestWillBeSent params
+   * @param {Request|null} redirectedFrom - Previous request in a redirect chain
+   */
+  constructor(params, redirectedFrom = null) {
+    this._id = params.requestId;
+    this._request = params.request;
+    this._resourceType = params.type || 'Other';
+    this._frameId = params.frameId || null;
+    this._isNavigation = params.requestId === params.loaderId && params.type === 'Document';
+    this._wallTime = params.wallTime;
+    this._timestamp = params.timestamp;
+    this._endTimestamp = null;
+    this._encodedDataLength = 0;
+    this._redirectedFrom = redirectedFrom;
+    this._redirectedTo = null;
+    this._response = null;
+    this._failure = null;
+
+    if (redirectedFrom) redirectedFrom._redirectedTo = this;
+  }
+
+  /** CDP requestId — shared by all requests in a redirect chain. */
+  id() { return this._id; }
+  url() { return this._request.url; }
+  method() { return this._request.method; }
+  headers() { return { ...this._request.headers }; }
+  postData() { return this._request.postData || null; }
+  resourceType() { return this._resourceType; }
+  frameId() { return this._frameId; }
+  isNavigationRequest() { return this._isNavigation; }
+
+  /** @returns {Request|null} */
+  redirectedFrom() { return this._redirectedFrom; }
+  /** @returns {Request|null} */
+  redirectedTo() { return this._redirectedTo; }
+
+  /**
+   * Requests that redirected to this one, oldest first. Empty if no redirects.
+   * @returns {Request[]}
+   */
+  redirectChain() {
+    const chain = [];
+    for (let r = this._redirectedFrom; r; r = r._redirectedFrom) chain.unshift(r);
+    return chain;
+  }
+
+  /** @returns {import('./Response')|null} */
+  response() { return this._response; }
+
+  /**
+   * @returns {{ errorText: string, canceled: boolean }|null}
+   */
+  failure() { return this._failure; }
+
+  /**
+   * Request timing in ms. `startTime` is epoch ms; the rest are offsets from
+   * the start of the request (-1 when not available).
+   */
+  timing() {
+    const t = this._response ? this._response._timing : null;
+    const offset = (start) => (t && t[start] >= 0 ? t[start] : -1);
+    const base = t ? t.requestTime : this._timestamp;
+    return {
+      startTime: this._wallTime * 1000,
+      domainLookupStart: offset('dnsStart'),
+      domainLookupEnd: offset('dnsEnd'),
+      connectStart: offset('connectStart'),
+      secureConnectionStart: offset('sslStart'),
+      connectEnd: offset('connectEnd'),
+      requestStart: offset('sendStart'),
+      responseStart: offset('receiveHeadersEnd'),
+      responseEnd: this._endTimestamp !== null ? (this._endTimestamp - base) * 1000 : -1,
+    };
+  }
+
+  /** Bytes received over the network, including headers. */
+  encodedDataLength() { return this._encodedDataLength; }
+
+  _finish(timestamp, encodedDataLength = 0) {
+    this._endTimestamp = timestamp;
+    this._encodedDataLength = encodedDataLength;
+  }
+
+  _fail(timestamp, errorText, canceled = false) {
+    this._endTimestamp = timestamp;
+    this._failure = { errorText, canceled };
+  }
+}
+
+module.exports = Request;
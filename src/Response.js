@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * A network response observed through the CDP Network domain.
+ * Emitted by page.on('response').
+ */
+class Response {
+  /**
+   * @param {import('./Network')} network
+   * @param {import('./Request')} request
+   * @param {object} response - CDP Network.Response
+   * @param {boolean} [isRedirect=false]
+   */
+  constructor(network, request, response, isRedirect = false) {
+    this._network = network;
+    this._request = request;
+    this._response = response;
+    this._timing = response.timing || null;
+    this._isRedirect = isRedirect;
+    this._bodyPromise = null;
+
+    this._finished = new Promise((resolve) => {
+      this._resolveFinished = resolve;
+    });
+  }
+
+  url() { return this._response.url; }
+  status() { return this._response.status; }
+  statusText() { return this._response.statusText || ''; }
+  ok() { return this._response.status === 0 || (this._response.status >= 200 && this._response.status <= 299); }
+  headers() { return { ...this._response.headers }; }
+  mimeType() { return this._response.mimeType || ''; }
+  fromCache() {
+    return Boolean(this._response.fromDiskCache || this._response.fromPrefetchCache);
+  }
+  fromServiceWorker() { return Boolean(this._response.fromServiceWorker); }
+
+  /**
+   * HTTP version in HAR notation, e.g. 'HTTP/1.1' or 'HTTP/2.0'.
+   */
+  httpVersion() {
+    const protocol = (this._response.protocol || '').toLowerCase();
+    if (protocol === 'h2') return 'HTTP/2.0';
+    if (protocol === 'h3' || protocol.startsWith('h3-')) return 'HTTP/3.0';
+    return protocol ? protocol.toUpperCase() : 'HTTP/1.1';
+  }
+
+  /**
+   * @returns {{ ip: string, port: number }|null}
+   */
+  remoteAddress() {
+    if (!this._response.remoteIPAddress) return null;
+    return { ip: this._response.remoteIPAddress, port: this._response.remotePort };
+  }
+
+  /** @returns {import('./Request')} */
+  request() { return this._request; }
+
+  timing() { return this._request.timing(); }
+
+  /**
+   * Resolves with null once loading finished, or an Error if it failed.
+   */
+  finished() { return this._finished; }
+
+  /**
+   * Get the response body. Waits for loading to finish.
+   * @returns {Promise<Buffer>}
+   */
+  async body() {
+    if (this._isRedirect) throw new Error('Response body is unavailable for redirect responses');
+    if (!this._bodyPromise) {
+      this._bodyPromise = this._finished.then(async (error) => {
+        if (error) throw error;
+        const { body, base64Encoded } = await this._network.getResponseBody(this._request.id());
+        return Buffer.from(body, base64Encoded ? 'base64' : 'utf8');
+      });
+    }
+    return this._bodyPromise;
+  }
+
+  async text() {
+    return (await this.body()).toString('utf8');
+  }
+
+  async json() {
+    return JSON.parse(await this.text());
+  }
+
+  _finish(error = null) {
+    this._resolveFinished(error);
+  }
+}
+
+module.exports = Response;
@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * A paused request handed to page.route() handlers.
+ * Call exactly one of fulfill(), continue(), abort() or fallback().
+ */
+class Route {
+  /**
+   * @param {object} params - Fetch.requestPaused params
+   */
+  constructor(params) {
+    this._params = params;
+    this._result = null;
+    this._handled = false;
+  }
+
+  /**
+   * Get info about the intercepted request.
+   * @returns {{ url: string, method: string, headers: object, postData: string|null, resourceType: string, requestId: string }}
+   */
+  request() {
+    const req = this._params.request;
+    return {
+      url: req.url,
+      method: req.method,
+      headers: { ...req.headers },
+      postData: req.postData || null,
+      resourceType: this._params.resourceType,
+      requestId: this._params.requestId,
+    };
+  }
+
+  /**
+   * Respond with a synthetic response — the request never hits the network.
+   * @param {object} [options]
+   * @param {number} [options.status=200]
+   * @param {object} [options.headers] - Response headers { name: value }
+   * @param {string} [options.contentType] - Shortcut for the Content-Type header
+   * @param {string|Buffer} [options.body]
+   * @param {string} [options.path] - Read the body from this file
+   */
+  async fulfill(options = {}) {
+    this._settle({
+      action: 'fulfill',
+      status: options.status,
+      headers: options.headers,
+      contentType: options.contentType,
+      body: options.body,
+      path: options.path,
+    });
+  }
+
+  /**
+   * Send the request to the network, optionally modified.
+   * @param {object} [overrides] - { url?, method?, headers?, postData? }
+   */
+  async continue(overrides = {}) {
+    this._settle({ ...overrides, action: 'continue' });
+  }
+
+  /**
+   * Fail the request.
+   * @param {string} [errorReason='Failed'] - CDP Network.ErrorReason, e.g. 'Aborted', 'BlockedByClient'
+   */
+  async abort(errorReason = 'Failed') {
+    this._settle({ action: 'block', errorReason });
+  }
+
+  /**
+   * Let the next interceptor in the chain handle the request.
+   */
+  async fallback() {
+    this._settle(null);
+  }
+
+  _settle(result) {
+    if (this._handled) throw new Error('Route is already handled');
+    this._handled = true;
+    this._result = result;
+  }
+}
+
+module.exports = Route;
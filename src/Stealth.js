@@ -0,0 +1,367 @@
+'use strict';
+
+const Fingerprint = require('./Fingerprint');
+const { windowPatchScript } = require('./utils');
+
+const OWNER = 'Stealth';
+
+// Served by an interceptor, so the self-check needs no network
+const SELF_CHECK_URL = 'https://stealth-check.ishbrowser.invalid/';
+
+/**
+ * User agent without the tokens Electron adds: the app's name/version and
+ * Electron/x.y.z.
+ */
+function cleanUserAgent(userAgent) {
+  return userAgent
+    .replace(/ Electron\/\S+/, '')
+    .replace(/(\(KHTML, like Gecko\)) (?:(?!Chrome\/)\S+\/\S+ )+/, '$1 ');
+}
+
+/**
+ * Main-world patch hiding automation and Electron tells: navigator.webdriver,
+ * the empty plugin and MIME type lists, the missing window.chrome and the
+ * notifications permission mismatch. Iframe windows are covered by
+ * windowPatchScript().
+ */
+const STEALTH_PATCH = `function (win, config, { getter, method, native }) {
+  getter(win.Navigator.prototype, 'webdriver', false);
+
+  if (win.navigator.plugins.length === 0 && win.PluginArray && win.MimeTypeArray) {
+    // Fake Plugin/MimeType objects use the real prototypes; their accessors
+    // read from here instead of the (missing) native backing
+    const fakes = new WeakMap();
+    const fake = (proto, info) => {
+      const obj = Object.create(proto);
+      fakes.set(obj, info);
+      return obj;
+    };
+    const fakeGetters = (proto, props) => {
+      for (const prop of props) {
+        getter(proto, prop, function (original) {
+          return fakes.has(this) ? fakes.get(this)[prop] : original.call(this);
+        });
+      }
+    };
+    const fakeList = (proto, key) => {
+      getter(proto, 'length', function (original) {
+        return fakes.has(this) ? fakes.get(this).items.length : original.call(this);
+      });
+      method(proto, 'item', function (original, args) {
+        return fakes.has(this) ? fakes.get(this).items[args[0] >>> 0] || null : original.apply(this, args);
+      });
+      method(proto, 'namedItem', function (original, args) {
+        if (!fakes.has(this)) return original.apply(this, args);
+        return fakes.get(this).items.find((item) => fakes.get(item)[key] === String(args[0])) || null;
+      });
+    };
+    const fill = (list, items, key) => {
+      items.forEach((item, i) => {
+        Object.defineProperty(list, i, { value: item, enumerable: true });
+        Object.defineProperty(list, fakes.get(item)[key], { value: item });
+      });
+      return list;
+    };
+
+    fakeGetters(win.Plugin.prototype, ['name', 'filename', 'description']);
+    fakeList(win.Plugin.prototype, 'type');
+    fakeGetters(win.MimeType.prototype, ['type', 'suffixes', 'description', 'enabledPlugin']);
+    fakeList(win.PluginArray.prototype, 'name');
+    fakeList(win.MimeTypeArray.prototype, 'type');
+    method(win.PluginArray.prototype, 'refresh', function (original, args) {
+      return fakes.has(this) ? undefined : original.apply(this, args);
+    });
+
+    // What Chrome has shipped since 94: five aliases of the built-in PDF viewer
+    const description = 'Portable Document Format';
+    const mimeInfos = ['application/pdf', 'text/pdf'].map((type) => ({ type, suffixes: 'pdf', description, enabledPlugin: null }));
+    const mimes = mimeInfos.map((info) => fake(win.MimeType.prototype, info));
+    const plugins = ['PDF Viewer', 'Chrome PDF Viewer', 'Chromium PDF Viewer', 'Microsoft Edge PDF Viewer', 'WebKit built-in PDF']
+      .map((name) => fill(fake(win.Plugin.prototype, { name, filename: 'internal-pdf-viewer', description, items: mimes }), mimes, 'type'));
+    for (const info of mimeInfos) info.enabledPlugin = plugins[0];
+
+    const pluginArray = fill(fake(win.PluginArray.prototype, { items: plugins }), plugins, 'name');
+    const mimeTypeArray = fill(fake(win.MimeTypeArray.prototype, { items: mimes }), mimes, 'type');
+    getter(win.Navigator.prototype, 'plugins', pluginArray);
+    getter(win.Navigator.prototype, 'mimeTypes', mimeTypeArray);
+    getter(win.Navigator.prototype, 'pdfViewerEnabled', true);
+  }
+
+  if (!win.chrome) {
+    const timing = () => win.performance.timing;
+    const navigation = () => win.performance.getEntriesByType('navigation')[0] || {};
+    const chrome = {
+      app: {
+        isInstalled: false,
+        InstallState: { DISABLED: 'disabled', INSTALLED: 'installed', NOT_INSTALLED: 'not_installed' },
+        RunningState: { CANNOT_RUN: 'cannot_run', READY_TO_RUN: 'ready_to_run', RUNNING: 'running' },
+        getDetails: native(function getDetails() { return null; }),
+        getIsInstalled: native(function getIsInstalled() { return false; }),
+        installState: native(function installState(callback) { if (callback) callback('not_installed'); }),
+        runningState: native(function runningState() { return 'cannot_run'; }),
+      },
+      csi: native(function () {
+        return { startE: timing().navigationStart, onloadT: timing().domContentLoadedEventEnd, pageT: win.performance.now(), tran: 15 };
+      }, ''),
+      loadTimes: native(function () {
+        const t = timing();
+        const protocol = navigation().nextHopProtocol || 'http/1.1';
+        return {
+          requestTime: t.navigationStart / 1000,
+          startLoadTime: t.navigationStart / 1000,
+          commitLoadTime: t.responseStart / 1000,
+          finishDocumentLoadTime: t.domContentLoadedEventEnd / 1000,
+          finishLoadTime: t.loadEventEnd / 1000,
+          firstPaintTime: t.responseEnd / 1000,
+          firstPaintAfterLoadTime: 0,
+          navigationType: 'Other',
+          wasFetchedViaSpdy: protocol === 'h2' || protocol === 'h3',
+          wasNpnNegotiated: protocol !== 'http/1.1',
+          npnNegotiatedProtocol: protocol === 'http/1.1' ? 'unknown' : protocol,
+          wasAlternateProtocolAvailable: false,
+          connectionInfo: protocol,
+        };
+      }, ''),
+    };
+    Object.defineProperty(win, 'chrome', { value: chrome, writable: true, enumerable: true, configurable: false });
+  }
+
+  // Automated Chromium answers 'prompt' while Notification.permission says
+  // otherwise; report the state Notification.permission implies
+  if (win.Permissions && win.PermissionStatus && win.Notification) {
+    const states = new WeakMap();
+    getter(win.PermissionStatus.prototype, 'state', function (original) {
+      return states.has(this) ? states.get(this) : original.call(this);
+    });
+    method(win.Permissions.prototype, 'query', function (original, args) {
+      const result = original.apply(this, args);
+      if (!args[0] || args[0].name !== 'notifications') return result;
+      const permission = win.Notification.permission;
+      return result.then((status) => {
+        states.set(status, permission === 'default' ? 'prompt' : permission);
+        return status;
+      });
+    });
+  }
+}`;
+
+/**
+ * Detections run by check() and the self-check page. Resolves to
+ * [{ name, passed, detail }].
+ */
+const STEALTH_CHECKS = `async function () {
+  const results = [];
+  const add = (name, passed, detail) => results.push({ name, passed: Boolean(passed), detail: String(detail) });
+  const isNative = (fn) => typeof fn === 'function'
+    && Function.prototype.toString.call(fn).endsWith('{ [native code] }');
+
+  add('webdriver', navigator.webdriver !== true, 'navigator.webdriver = ' + navigator.webdriver);
+  add('userAgent', !/Electron|HeadlessChrome/.test(navigator.userAgent), navigator.userAgent);
+
+  const brands = navigator.userAgentData ? navigator.userAgentData.brands.map((b) => b.brand) : [];
+  add('userAgentData', !navigator.userAgent.includes('Chrome/') || brands.includes('Google Chrome'),
+    brands.join(', ') || 'no client hints');
+
+  add('plugins', navigator.plugins.length > 0 && navigator.plugins[0] instanceof Plugin,
+    navigator.plugins.length + ' plugins');
+  add('mimeTypes', navigator.mimeTypes.length > 0 && navigator.mimeTypes[0] instanceof MimeType,
+    navigator.mimeTypes.length + ' MIME types');
+  add('languages', navigator.languages && navigator.languages.length > 0, navigator.languages.join(', '));
+
+  const chrome = window.chrome;
+  add('window.chrome', chrome && chrome.app && typeof chrome.csi === 'function' && typeof chrome.loadTimes === 'function',
+    chrome ? Object.keys(chrome).join(', ') : 'missing');
+
+  if (navigator.permissions && window.Notification) {
+    const { state } = await navigator.permissions.query({ name: 'notifications' });
+    const expected = Notification.permission === 'default' ? 'prompt' : Notification.permission;
+    add('permissions', state === expected, 'Notification.permission = ' + Notification.permission + ', query() = ' + state);
+  }
+
+  const patched = [
+    Function.prototype.toString,
+    Object.getOwnPropertyDescriptor(Navigator.prototype, 'webdriver').get,
+    Object.getOwnPropertyDescriptor(Navigator.prototype, 'plugins').get,
+    window.Permissions && Permissions.prototype.query,
+  ].filter(Boolean);
+  add('nativeFunctions', patched.every(isNative), patched.filter((fn) => !isNative(fn)).map((fn) => fn.name).join(', ') || 'all native');
+
+  const iframe = document.createElement('iframe');
+  iframe.srcdoc = '<!doctype html>';
+  iframe.style.display = 'none';
+  (document.body || document.documentElement).appendChild(iframe);
+  try {
+    const w = iframe.contentWindow;
+    const mismatches = [];
+    if (!w || w === window) mismatches.push('contentWindow');
+    else {
+      if (!w.chrome) mismatches.push('chrome');
+      if (w.navigator.webdriver !== navigator.webdriver) mismatches.push('webdriver');
+      if (w.navigator.plugins.length !== navigator.plugins.length) mismatches.push('plugins');
+      if (w.navigator.userAgent !== navigator.userAgent) mismatches.push('userAgent');
+    }
+    add('iframe', mismatches.length === 0, mismatches.length ? 'differs: ' + mismatches.join(', ') : 'matches top frame');
+  } finally {
+    iframe.remove();
+  }
+
+  const markers = document.querySelectorAll('[__eac_id]').length;
+  add('domMarkers', markers === 0, markers + ' elements carry __eac_id');
+
+  // With the Runtime domain enabled, console arguments are serialized
+  // for the debugger, which reads the error's stack
+  let serialized = false;
+  const probe = new Error('probe');
+  Object.defineProperty(probe, 'stack', { get() { serialized = true; return ''; } });
+  console.debug(probe);
+  add('cdpRuntime', !serialized, serialized ? 'console arguments are serialized for a debugger' : 'no debugger serialization');
+
+  add('windowSize', window.outerWidth > 0 && window.outerHeight > 0, window.outerWidth + 'x' + window.outerHeight);
+  return results;
+}`;
+
+const SELF_CHECK_HTML = `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>ISHbrowser stealth self-check</title>
+<style>
+  body { font: 14px system-ui, sans-serif; margin: 24px; }
+  td, th { padding: 4px 12px; text-align: left; }
+  .pass { color: #1a7f37; }
+  .fail { color: #cf222e; font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>Stealth self-check</h1>
+<table><thead><tr><th>Check</th><th>Result</th><th>Detail</th></tr></thead><tbody id="results"></tbody></table>
+<script>
+(${STEALTH_CHECKS})().then((results) => {
+  const body = document.getElementById('results');
+  for (const r of results) {
+    const row = body.insertRow();
+    row.insertCell().textContent = r.name;
+    const cell = row.insertCell();
+    cell.textContent = r.passed ? 'pass' : 'DETECTED';
+    cell.className = r.passed ? 'pass' : 'fail';
+    row.insertCell().textContent = r.detail;
+  }
+});
+</script>
+</body>
+</html>`;
+
+/**
+ * Opt-in stealth mode for one page: hides the usual automation and
+ * Electron tells from page scripts in every frame, and keeps element
+ * handles out of the DOM (see ElementHandle). The Runtime domain, whose
+ * console serialization pages can observe, is never enabled.
+ */
+class Stealth {
+  /**
+   * @param {Electron.WebContents} webContents
+   * @param {import('./Network')} network
+   * @param {import('./CDPSession')} cdp
+   * @param {import('./Fingerprint')} fingerprint - The page's fingerprint, used for the user agent
+   */
+  constructor(webContents, network, cdp, fingerprint) {
+    this._wc = webContents;
+    this._network = network;
+    this._cdp = cdp;
+    this._fingerprint = fingerprint;
+    this._enabled = false;
+    this._script = windowPatchScript(STEALTH_PATCH, {});
+    this._onReattached = null;
+  }
+
+  /** @returns {string} URL of the offline self-check page */
+  static get SELF_CHECK_URL() { return SELF_CHECK_URL; }
+
+  /**
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this._enabled;
+  }
+
+  /**
+   * Turn stealth mode on. Takes effect from the next navigation. Unless the
+   * page's fingerprint sets a user agent, the default one is applied with
+   * its Electron tokens removed and matching client hints.
+   */
+  async enable() {
+    if (this._enabled) return;
+    this._enabled = true;
+
+    try {
+      const fp = this._fingerprint.get();
+      if (!fp || !fp.userAgent) {
+        const userAgent = cleanUserAgent(this._wc.getUserAgent());
+        await this._fingerprint.apply(Fingerprint.resolve({ ...fp, userAgent }, ''));
+      }
+
+      await this._cdp.enableDomain('Page', OWNER);
+      await this._applyTo();
+      await this._cdp.addChildTargetInitializer(OWNER, (sessionId) => this._applyTo(sessionId));
+    } catch (err) {
+      // Leave it disabled so enable() can be retried
+      this._enabled = false;
+      this._cdp.removeChildTargetInitializer(OWNER).catch(() => {});
+      this._cdp.release(OWNER).catch(() => {});
+      throw err;
+    }
+
+    this._onReattached = () => {
+      this._applyTo().catch(() => {});
+    };
+    this._cdp.on('reattached', this._onReattached);
+  }
+
+  _applyTo(sessionId) {
+    return this._cdp.send('Page.addScriptToEvaluateOnNewDocument', { source: this._script }, sessionId);
+  }
+
+  /**
+   * Run the detections in the current document.
+   * @returns {Promise<{ passed: boolean, checks: Array<{ name: string, passed: boolean, detail: string }> }>}
+   */
+  async check() {
+    const checks = await this._wc.executeJavaScript(`(${STEALTH_CHECKS})()`, true);
+    return { passed: checks.every((c) => c.passed), checks };
+  }
+
+  /**
+   * Navigate to a local self-check page, which lists every detection and
+   * whether it still triggers, and return the same report as check().
+   * Works offline: the page is served by an interceptor.
+   * @returns {Promise<object>} See check()
+   */
+  async selfCheck() {
+    const id = await this._network.addInterceptor(() => ({
+      action: 'fulfill',
+      status: 200,
+      contentType: 'text/html; charset=utf-8',
+      body: SELF_CHECK_HTML,
+    }), { urlPattern: `${SELF_CHECK_URL}*`, prepend: true });
+    try {
+      await this._wc.loadURL(SELF_CHECK_URL);
+      return await this.check();
+    } finally {
+      this._network.removeInterceptor(id);
+    }
+  }
+
+  /**
+   * Stop applying to new frames and reattachments.
+   */
+  destroy() {
+    if (this._onReattached) {
+      this._cdp.removeListener('reattached', this._onReattached);
+      this._onReattached = null;
+    }
+    this._cdp.removeChildTargetInitializer(OWNER).catch(() => {});
+    this._cdp.release(OWNER).catch(() => {});
+  }
+}
+
+module.exports = Stealth;
@@ -0,0 +1,13 @@
+'use strict';
+
+/**
+ * Thrown when a wait exceeds its timeout.
+ */
+class TimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TimeoutError';
+  }
+}
+
+module.exports = TimeoutError;
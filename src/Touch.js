@@ -1,25 +1,23 @@
 'use strict';
 
-const { sleep, safeAttachDebugger, cdpSend } = require('./utils');
+const CDPSession = require('./CDPSession');
+const { sleep } = require('./utils');
 
 class Touch {
   /**
    * @param {Electron.WebContents} webContents
+   * @param {CDPSession} [cdp] - Shared CDP session (defaults to the one for webContents)
    */
-  constructor(webContents) {
+  constructor(webContents, cdp) {
     this._wc = webContents;
-  }
-
-  async _ensureDebugger() {
-    await safeAttachDebugger(this._wc);
+    this._cdp = cdp || CDPSession.for(webContents);
   }
 
   /**
    * Dispatch a touch event via CDP.
    */
   async _dispatchTouch(type, touchPoints) {
-    await this._ensureDebugger();
-    await cdpSend(this._wc, 'Input.dispatchTouchEvent', {
+    await this._cdp.send('Input.dispatchTouchEvent', {
       type,
       touchPoints: touchPoints.map(tp => ({
         x: Math.round(tp.x),
@@ -1,13 +1,42 @@
 'use strict';
 
-const { sleep, poll } = require('./utils');
+const TimeoutError = require('./TimeoutError');
+const { sleep, poll, globToRegExp, toUrlMatcher } = require('./utils');
+
+/**
+ * Build a matcher for Request/Response objects from a URL glob, RegExp,
+ * or predicate receiving the object itself.
+ */
+function toNetworkMatcher(urlOrPredicate) {
+  if (typeof urlOrPredicate === 'function') return urlOrPredicate;
+  if (urlOrPredicate instanceof RegExp) return (r) => urlOrPredicate.test(r.url());
+  if (typeof urlOrPredicate === 'string') {
+    const regex = globToRegExp(urlOrPredicate);
+    return (r) => r.url() === urlOrPredicate || regex.test(r.url());
+  }
+  throw new Error('Expected a URL glob, RegExp or predicate function');
+}
+
+/**
+ * Short label for a URL glob, RegExp or predicate in error messages.
+ */
+function describeMatcher(urlOrPredicate) {
+  if (typeof urlOrPredicate === 'function') {
+    return urlOrPredicate.name ? `predicate ${urlOrPredicate.name}` : 'predicate';
+  }
+  return String(urlOrPredicate);
+}
 
 class Waiter {
   /**
    * @param {Electron.WebContents} webContents
+   * @param {import('./Network')} [network] - Required for network waits
+   * @param {import('./CDPSession')} [cdp]
    */
-  constructor(webContents) {
+  constructor(webContents, network = null, cdp = null) {
     this._wc = webContents;
+    this._network = network;
+    this._cdp = cdp;
   }
 
   /**
@@ -58,63 +87,203 @@ class Waiter {
   }
 
   /**
-   * Wait until network is idle (no pending requests for idleTime ms).
+   * Wait for a request matching a URL glob, RegExp or predicate (request) => boolean.
+   * @param {string|RegExp|function} urlOrPredicate
+   * @param {object} [options]
+   * @param {number} [options.timeout=30000]
+   * @returns {Promise<import('./Request')>}
    */
-  async waitForNetworkIdle(timeout = 30000, idleTime = 500) {
-    return new Promise((resolve, reject) => {
-      let timer = null;
+  async waitForRequest(urlOrPredicate, options = {}) {
+    const { result } = await this._waitForNetworkEvent('request', urlOrPredicate, options.timeout);
+    return result;
+  }
+
+  /**
+   * Wait for a response matching a URL glob, RegExp or predicate (response) => boolean.
+   * @param {string|RegExp|function} urlOrPredicate
+   * @param {object} [options]
+   * @param {number} [options.timeout=30000]
+   * @returns {Promise<import('./Response')>}
+   */
+  async waitForResponse(urlOrPredicate, options = {}) {
+    const { result } = await this._waitForNetworkEvent('response', urlOrPredicate, options.timeout);
+    return result;
+  }
+
+  /**
+   * Start waiting for a request, run an action that triggers it, and resolve
+   * with the request. The wait is in place before the action runs.
+   * @param {string|RegExp|function} urlOrPredicate
+   * @param {function} action - async () => void
+   * @param {object} [options] - { timeout = 30000 }
+   * @returns {Promise<import('./Request')>}
+   */
+  async expectRequest(urlOrPredicate, action, options = {}) {
+    return this._runAndWait(await this._waitForNetworkEvent('request', urlOrPredicate, options.timeout), action);
+  }
+
+  /**
+   * Same as expectRequest() for a response.
+   * @returns {Promise<import('./Response')>}
+   */
+  async expectResponse(urlOrPredicate, action, options = {}) {
+    return this._runAndWait(await this._waitForNetworkEvent('response', urlOrPredicate, options.timeout), action);
+  }
+
+  async _runAndWait({ result }, action) {
+    // A timeout during a slow action is reported by the return below
+    result.catch(() => {});
+    await action();
+    return result;
+  }
+
+  /**
+   * Listen for a matching network event. Resolves once events are being
+   * tracked, with { result } settling on the match or timeout.
+   */
+  async _waitForNetworkEvent(event, urlOrPredicate, timeout = 30000) {
+    if (!this._network) throw new Error('Network module is required to wait for network events');
+    const matches = toNetworkMatcher(urlOrPredicate);
+    let stop = null;
+
+    const result = new Promise((resolve, reject) => {
       let done = false;
-      let pending = 0;
+
+      const cleanup = () => {
+        done = true;
+        clearTimeout(timeoutId);
+        this._network.removeListener(event, onEvent);
+      };
+      stop = cleanup;
 
       const timeoutId = setTimeout(() => {
+        if (done) return;
         cleanup();
-        if (!done) {
-          done = true;
-          resolve(); // resolve on timeout rather than reject for network idle
-        }
+        reject(new TimeoutError(`Timed out after ${timeout}ms waiting for ${event} matching ${describeMatcher(urlOrPredicate)}`));
       }, timeout);
 
+      const onEvent = async (payload) => {
+        if (done) return;
+        let matched = false;
+        try {
+          matched = await matches(payload);
+        } catch {
+          // a throwing predicate counts as no match
+        }
+        if (matched && !done) {
+          cleanup();
+          resolve(payload);
+        }
+      };
+
+      this._network.on(event, onEvent);
+    });
+
+    try {
+      await this._network.enableEvents();
+    } catch (err) {
+      stop();
+      throw err;
+    }
+    return { result };
+  }
+
+  /**
+   * Wait until the page has no more than `maxInflight` outstanding network
+   * requests for `idleTime` ms. Tracks XHR/fetch and sub-resources through
+   * the CDP Network domain; WebSocket frames also count as activity.
+   * @param {object|number} [options] - Options, or a timeout in ms (legacy form)
+   * @param {number} [options.timeout=30000]
+   * @param {number} [options.idleTime=500] - Quiet window required
+   * @param {number} [options.maxInflight=0] - 0 = networkidle0, 2 = networkidle2
+   * @param {Array<string|RegExp|function>} [options.ignore] - URL patterns to leave out (long-polling, analytics)
+   * @param {boolean} [options.throwOnTimeout=true] - false resolves on timeout instead of rejecting
+   * @param {number} [legacyIdleTime] - idleTime for the legacy (timeout, idleTime) form
+   * @returns {Promise<boolean>} true when idle, false on timeout with throwOnTimeout: false
+   */
+  async waitForNetworkIdle(options = {}, legacyIdleTime) {
+    if (typeof options === 'number') {
+      options = legacyIdleTime === undefined ? { timeout: options } : { timeout: options, idleTime: legacyIdleTime };
+    }
+    if (!this._network) throw new Error('Network module is required to wait for network idle');
+    const {
+      timeout = 30000,
+      idleTime = 500,
+      maxInflight = 0,
+      ignore = [],
+      throwOnTimeout = true,
+    } = options;
+    const ignoreMatchers = (Array.isArray(ignore) ? ignore : [ignore]).map(toUrlMatcher);
+    const isIgnored = (request) => ignoreMatchers.some((match) => {
+      try {
+        return match(request.url());
+      } catch {
+        return false;
+      }
+    });
+
+    // Requests are only tracked once the Network domain is on
+    await this._network.enableEvents();
+    const inflight = new Set(this._network.getInflightRequests().filter((r) => !isIgnored(r)));
+
+    return new Promise((resolve, reject) => {
+      let idleTimer = null;
+      let done = false;
+
+      const finish = (idle) => {
+        if (done) return;
+        done = true;
+        cleanup();
+        if (idle || !throwOnTimeout) {
+          resolve(idle);
+        } else {
+          reject(new TimeoutError(
+            `Network did not become idle within ${timeout}ms (${inflight.size} request(s) in flight)`
+          ));
+        }
+      };
+
       const checkIdle = () => {
         if (done) return;
-        if (timer) clearTimeout(timer);
-        timer = setTimeout(() => {
-          if (!done && pending <= 0) {
-            done = true;
-            cleanup();
-            resolve();
-          }
-        }, idleTime);
+        if (idleTimer) clearTimeout(idleTimer);
+        idleTimer = null;
+        if (inflight.size > maxInflight) return;
+        idleTimer = setTimeout(() => finish(true), idleTime);
       };
 
-      const onStart = () => {
-        pending++;
-        if (timer) clearTimeout(timer);
+      const onRequest = (request) => {
+        if (isIgnored(request)) return;
+        inflight.add(request);
+        checkIdle();
       };
 
-      const onFinish = () => {
-        pending = Math.max(0, pending - 1);
+      const onDone = (request) => {
+        if (!inflight.delete(request)) return;
         checkIdle();
       };
 
+      const timeoutId = setTimeout(() => finish(false), timeout);
+
       const cleanup = () => {
         clearTimeout(timeoutId);
-        if (timer) clearTimeout(timer);
-        try {
-          this._wc.removeListener('did-start-loading', onStart);
-          this._wc.removeListener('did-stop-loading', onFinish);
-          this._wc.removeListener('did-finish-load', onFinish);
-          this._wc.removeListener('did-fail-load', onFinish);
-        } catch {
-          // ignore
+        if (idleTimer) clearTimeout(idleTimer);
+        this._network.removeListener('request', onRequest);
+        this._network.removeListener('requestfinished', onDone);
+        this._network.removeListener('requestfailed', onDone);
+        if (this._cdp) {
+          this._cdp.removeListener('Network.webSocketFrameSent', checkIdle);
+          this._cdp.removeListener('Network.webSocketFrameReceived', checkIdle);
         }
       };
 
-      this._wc.on('did-start-loading', onStart);
-      this._wc.on('did-stop-loading', onFinish);
-      this._wc.on('did-finish-load', onFinish);
-      this._wc.on('did-fail-load', onFinish);
+      this._network.on('request', onRequest);
+      this._network.on('requestfinished', onDone);
+      this._network.on('requestfailed', onDone);
+      if (this._cdp) {
+        this._cdp.on('Network.webSocketFrameSent', checkIdle);
+        this._cdp.on('Network.webSocketFrameReceived', checkIdle);
+      }
 
-      // Kickstart the idle check
       checkIdle();
     });
   }
@@ -0,0 +1,202 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const TimeoutError = require('./TimeoutError');
+
+/**
+ * Convert a CDP WebSocketFrame into { opcode, payload, timestamp }.
+ * Text frames carry a string payload, binary frames a Buffer.
+ */
+function toFrame(params) {
+  const { opcode, payloadData } = params.response;
+  return {
+    opcode,
+    payload: opcode === 2 ? Buffer.from(payloadData || '', 'base64') : payloadData,
+    timestamp: params.timestamp,
+  };
+}
+
+const OBJECT_GROUP = 'ishbrowser-websocket';
+
+/**
+ * Runs in the page with `this` = every WebSocket object of the main frame.
+ * Picks the open one for `url` and sends `data`, or dispatches it as a
+ * 'message' event when `dispatch` is set. Binary data comes as base64.
+ */
+const PAGE_FUNCTION = `function (url, text, base64, dispatch) {
+  const href = new URL(url).href;
+  const sockets = this.filter((ws) => ws.readyState === WebSocket.OPEN && new URL(ws.url).href === href);
+  if (sockets.length === 0) throw new Error('No open WebSocket to ' + url + ' in the page');
+  if (sockets.length > 1) throw new Error('Several open WebSockets to ' + url + ' in the page');
+  const ws = sockets[0];
+  const bytes = base64 === null ? null : Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+  if (!dispatch) {
+    ws.send(bytes || text);
+    return;
+  }
+  let data = text;
+  if (bytes) data = ws.binaryType === 'blob' ? new Blob([bytes]) : bytes.buffer;
+  ws.dispatchEvent(new MessageEvent('message', { data, origin: new URL(url).origin }));
+}`;
+
+/**
+ * A WebSocket opened by the page, observed through the CDP Network domain.
+ * Emitted by page.on('websocket').
+ *
+ * Events: 'framesent' (frame), 'framereceived' (frame), 'socketerror'
+ * (message) and 'close'. Frames are { opcode, payload, timestamp }.
+ *
+ * send() and dispatchMessage() reach the socket object in the page through
+ * the runtime heap, so they work for sockets of the main frame only.
+ */
+class WebSocket extends EventEmitter {
+  /**
+   * @param {object} params - Network.webSocketCreated params
+   * @param {import('./CDPSession')} cdp
+   */
+  constructor(params, cdp) {
+    super();
+    this._cdp = cdp;
+    this._requestId = params.requestId;
+    this._url = params.url;
+    this._closed = false;
+  }
+
+  url() { return this._url; }
+  isClosed() { return this._closed; }
+
+  /**
+   * Wait for a frame matching a predicate.
+   * @param {function} [predicate] - (frame) => boolean, may be async; any frame if omitted
+   * @param {object} [options]
+   * @param {string} [options.direction='received'] - 'received', 'sent' or 'any'
+   * @param {number} [options.timeout=30000]
+   * @returns {Promise<{ opcode: number, payload: string|Buffer, timestamp: number }>}
+   */
+  waitForFrame(predicate = () => true, options = {}) {
+    const { direction = 'received', timeout = 30000 } = options;
+    const events = {
+      received: ['framereceived'],
+      sent: ['framesent'],
+      any: ['framereceived', 'framesent'],
+    }[direction];
+    if (!events) throw new Error(`Invalid direction: ${direction}. Valid: received, sent, any`);
+
+    return new Promise((resolve, reject) => {
+      if (this._closed) {
+        reject(new Error('WebSocket is closed'));
+        return;
+      }
+      let done = false;
+
+      const cleanup = () => {
+        done = true;
+        clearTimeout(timeoutId);
+        for (const event of events) this.removeListener(event, onFrame);
+        this.removeListener('close', onClose);
+      };
+
+      const timeoutId = setTimeout(() => {
+        if (done) return;
+        cleanup();
+        reject(new TimeoutError(`Timed out after ${timeout}ms waiting for a WebSocket frame on ${this._url}`));
+      }, timeout);
+
+      const onFrame = async (frame) => {
+        if (done) return;
+        let matched = false;
+        try {
+          matched = await predicate(frame);
+        } catch {
+          // a throwing predicate counts as no match
+        }
+        if (matched && !done) {
+          cleanup();
+          resolve(frame);
+        }
+      };
+
+      const onClose = () => {
+        if (done) return;
+        cleanup();
+        reject(new Error(`WebSocket closed before a matching frame: ${this._url}`));
+      };
+
+      for (const event of events) this.on(event, onFrame);
+      this.on('close', onClose);
+    });
+  }
+
+  /**
+   * Send a message to the server over the page's socket, as if the page
+   * had called send(). It is reported as a 'framesent' event.
+   * @param {string|Buffer} data - Strings go as text frames, Buffers as binary
+   */
+  async send(data) {
+    await this._callInPage(data, false);
+  }
+
+  /**
+   * Hand a message to the page as if the server had sent it: a 'message'
+   * event is dispatched on the page's socket. Nothing goes over the
+   * network, so no 'framereceived' event is emitted.
+   * @param {string|Buffer} data - Buffers arrive as an ArrayBuffer or Blob, per the socket's binaryType
+   */
+  async dispatchMessage(data) {
+    await this._callInPage(data, true);
+  }
+
+  async _callInPage(data, dispatch) {
+    if (this._closed) throw new Error(`WebSocket is closed: ${this._url}`);
+    const binary = Buffer.isBuffer(data);
+    if (!binary && typeof data !== 'string') throw new Error('WebSocket data must be a string or Buffer');
+
+    try {
+      const { result: prototype } = await this._cdp.send('Runtime.evaluate', {
+        expression: 'WebSocket.prototype',
+        objectGroup: OBJECT_GROUP,
+      });
+      const { objects } = await this._cdp.send('Runtime.queryObjects', {
+        prototypeObjectId: prototype.objectId,
+        objectGroup: OBJECT_GROUP,
+      });
+      const { exceptionDetails } = await this._cdp.send('Runtime.callFunctionOn', {
+        objectId: objects.objectId,
+        functionDeclaration: PAGE_FUNCTION,
+        arguments: [
+          { value: this._url },
+          { value: binary ? null : data },
+          { value: binary ? data.toString('base64') : null },
+          { value: dispatch },
+        ],
+        returnByValue: true,
+      });
+      if (exceptionDetails) {
+        const { exception } = exceptionDetails;
+        throw new Error(exception && exception.description ? exception.description.split('\n')[0] : exceptionDetails.text);
+      }
+    } finally {
+      await this._cdp.send('Runtime.releaseObjectGroup', { objectGroup: OBJECT_GROUP }).catch(() => {});
+    }
+  }
+
+  _onFrameSent(params) {
+    this.emit('framesent', toFrame(params));
+  }
+
+  _onFrameReceived(params) {
+    this.emit('framereceived', toFrame(params));
+  }
+
+  _onError(errorMessage) {
+    this.emit('socketerror', errorMessage);
+  }
+
+  _onClose() {
+    if (this._closed) return;
+    this._closed = true;
+    this.emit('close');
+  }
+}
+
+module.exports = WebSocket;